@@ -4,5 +4,9 @@ let xss = [
 	`<svg><g/onload=alert(2)//<p>`,
 	`<math><mi//xlink:href="data:x,<script>alert(4)</script>">`,
 	`<TABLE><tr><td>HELLO</tr></TABL>`,
-	`<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgiSGVsbG8iKTs8L3NjcmlwdD4=">test</a>`
+	`<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgiSGVsbG8iKTs8L3NjcmlwdD4=">test</a>`,
+	`<!--><img src=x onerror=alert(5)>-->`,
+	`<!-- --!><img src=x onerror=alert(6)> -->`,
+	`<noscript><p title="</noscript><img src=x onerror=alert(7)>"></noscript>`,
+	`<svg><style><img src=x onerror=alert(8)></style></svg>`
 ];
\ No newline at end of file
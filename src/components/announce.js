@@ -0,0 +1,44 @@
+// The live regions, by politeness
+let regions = {};
+
+// Styles that hide an element visually, but keep it available to screen readers
+let visuallyHidden = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;';
+
+/**
+ * Get the live region for a politeness setting, creating it if needed
+ * @param  {String}  politeness The politeness setting (polite or assertive)
+ * @return {Element}            The live region
+ */
+function getRegion (politeness) {
+
+	// If the region is still in the DOM, use it
+	if (regions[politeness] && regions[politeness].isConnected) return regions[politeness];
+
+	// Otherwise, create it
+	let region = document.createElement('div');
+	region.setAttribute('aria-live', politeness);
+	region.setAttribute('aria-atomic', 'true');
+	region.setAttribute('reef-announce', politeness);
+	region.style.cssText = visuallyHidden;
+	document.body.append(region);
+	regions[politeness] = region;
+	return region;
+
+}
+
+/**
+ * Announce a message to screen reader users
+ * The message is added after a short delay, so that repeating the same message still announces it
+ * @param {String} message    The message
+ * @param {String} politeness How urgent the message is (polite or assertive)
+ */
+function announce (message, politeness = 'polite') {
+	let region = getRegion(politeness === 'assertive' ? 'assertive' : 'polite');
+	region.textContent = '';
+	setTimeout(function () {
+		region.textContent = message;
+	}, 100);
+}
+
+
+export default announce;
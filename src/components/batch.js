@@ -0,0 +1,128 @@
+import {emit} from './utilities.js';
+
+
+// How many batches are running
+let depth = 0;
+
+// The signal events, subscriber updates, and effects waiting for the batch to finish
+let queue = new Map();
+let updates = new Map();
+let effects = new Set();
+
+// The functions subscribed to each signal, store, or computed signal
+let subscribers = new WeakMap();
+
+/**
+ * Run the functions subscribed to a signal
+ * @param  {Object} target The signal's data object, or the Store or Computed instance
+ * @param  {*}      detail The change details
+ */
+function publish (target, detail) {
+	for (let fn of Array.from(subscribers.get(target) || [])) {
+		fn(detail);
+	}
+}
+
+/**
+ * Run a function whenever a signal changes
+ * Unlike signal events, this doesn't need the DOM
+ * @param  {Object}   target The signal's data object, or the Store or Computed instance
+ * @param  {Function} fn     The function to run (receives the change details)
+ * @return {Function}        Stops running the function
+ */
+function subscribe (target, fn) {
+	if (!subscribers.has(target)) {
+		subscribers.set(target, new Set());
+	}
+	subscribers.get(target).add(fn);
+	return function () {
+		subscribers.get(target).delete(fn);
+	};
+}
+
+/**
+ * Emit a signal event and run the signal's subscribers, or queue them if a batch is running
+ * @param  {String} type   The event type
+ * @param  {*}      detail Any details to pass along with the event
+ * @param  {Object} target The signal's data object, or the Store or Computed instance
+ * @param  {Object} change The details to list in the batch event, if a batch is running (defaults to the event details)
+ */
+function notify (type, detail, target, change = detail) {
+	if (!depth) {
+		emit(type, detail);
+		publish(target, detail);
+		return;
+	}
+	if (!queue.has(type)) {
+		queue.set(type, []);
+	}
+	queue.get(type).push(change);
+	if (!updates.has(target)) {
+		updates.set(target, []);
+	}
+	updates.get(target).push(change);
+}
+
+/**
+ * Run an effect, or queue it if a batch is running
+ * Queued effects only run once, no matter how many times they're scheduled
+ * @param  {Function} fn The effect to run
+ */
+function schedule (fn) {
+	if (!depth) {
+		fn();
+		return;
+	}
+	effects.add(fn);
+}
+
+/**
+ * Emit the queued events and run the queued effects
+ */
+function flush () {
+
+	// Clear the queues, in case the events or effects make new updates
+	let events = Array.from(queue);
+	let targets = Array.from(updates);
+	let fns = Array.from(effects);
+	queue.clear();
+	updates.clear();
+	effects.clear();
+
+	// Emit one event per signal namespace
+	for (let [type, changes] of events) {
+		emit(type, {action: 'batch', changes});
+	}
+
+	// Run the subscribers once per signal
+	for (let [target, changes] of targets) {
+		publish(target, {action: 'batch', changes});
+	}
+
+	// Run the effects
+	for (let fn of fns) {
+		fn();
+	}
+
+}
+
+/**
+ * Make several signal updates, and emit one event per signal when they're done
+ * @param  {Function} fn The function that updates the signals
+ * @return {*}           The value returned by the function
+ */
+function batch (fn) {
+	depth++;
+	try {
+		return fn();
+	} finally {
+		depth--;
+		if (!depth) {
+			flush();
+		}
+	}
+}
+
+
+export {notify, schedule, subscribe};
+export default batch;
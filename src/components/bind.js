@@ -0,0 +1,169 @@
+// The signal and property path bound to each form field
+let fields = new WeakMap();
+
+/**
+ * Split a property path into its keys
+ * @param  {String} path The path (like user.address.city or todos.0.done)
+ * @return {Array}       The keys
+ */
+function getKeys (path) {
+	return path.split('.').map((key) => key.trim()).filter((key) => key.length);
+}
+
+/**
+ * Get the value at a property path
+ * @param  {Object} data The data object
+ * @param  {String} path The property path
+ * @return {*}           The value
+ */
+function getPath (data, path) {
+	let val = data;
+	for (let key of getKeys(path)) {
+		if (val === null || val === undefined) return;
+		val = val[key];
+	}
+	return val;
+}
+
+/**
+ * Set the value at a property path
+ * @param  {Object} data  The data object
+ * @param  {String} path  The property path
+ * @param  {*}      value The value
+ */
+function setPath (data, path, value) {
+	let keys = getKeys(path);
+	let last = keys.pop();
+	let obj = keys.length ? getPath(data, keys.join('.')) : data;
+	if (obj === null || typeof obj !== 'object') return;
+	obj[last] = value;
+}
+
+/**
+ * Get the event that fires when a user changes a field
+ * @param  {Element} elem The field
+ * @return {String}       The event type
+ */
+function getEventType (elem) {
+	if (elem.tagName.toLowerCase() === 'select' || ['checkbox', 'radio'].includes(elem.type)) return 'change';
+	return 'input';
+}
+
+/**
+ * Write a user's change to a field back to its bound data
+ * @param  {Event} event The event object
+ */
+function handler (event) {
+
+	// Get the binding
+	let elem = event.currentTarget;
+	let binding = fields.get(elem);
+	if (!binding) return;
+	let {data, path} = binding;
+	let current = getPath(data, path);
+
+	// Checkboxes toggle their value in an array, or set a boolean
+	// Values are matched as strings, and added as numbers if the array has numbers
+	if (elem.type === 'checkbox') {
+		if (!Array.isArray(current)) {
+			setPath(data, path, elem.checked);
+			return;
+		}
+		let index = current.findIndex((item) => String(item) === elem.value);
+		if (elem.checked && index < 0) {
+			let isNumbers = current.length && current.every((item) => typeof item === 'number');
+			current.push(isNumbers && elem.value.trim() !== '' && !isNaN(elem.value) ? Number(elem.value) : elem.value);
+		}
+		if (!elem.checked && index > -1) {
+			current.splice(index, 1);
+		}
+		return;
+	}
+
+	// Radio buttons set the value of the checked button
+	if (elem.type === 'radio') {
+		if (!elem.checked) return;
+		setPath(data, path, elem.value);
+		return;
+	}
+
+	// Multi-selects set an array of selected values
+	if (elem.tagName.toLowerCase() === 'select' && elem.multiple) {
+		setPath(data, path, Array.from(elem.selectedOptions).map((option) => option.value));
+		return;
+	}
+
+	// If the bound value is a number, keep it a number
+	if (typeof current === 'number' && elem.value.trim() !== '' && !isNaN(elem.value)) {
+		setPath(data, path, Number(elem.value));
+		return;
+	}
+
+	setPath(data, path, elem.value);
+
+}
+
+/**
+ * Update a form field to match its bound data
+ * @param  {Element} elem The field
+ */
+function syncField (elem) {
+
+	// Get the bound value
+	let binding = fields.get(elem);
+	if (!binding) return;
+	let val = getPath(binding.data, binding.path);
+
+	// Checkboxes are checked if their value is in the array, or the value is truthy
+	if (elem.type === 'checkbox') {
+		elem.checked = Array.isArray(val) ? val.map(String).includes(elem.value) : !!val;
+		return;
+	}
+
+	// Radio buttons are checked if their value matches
+	if (elem.type === 'radio') {
+		elem.checked = String(val) === elem.value;
+		return;
+	}
+
+	// Multi-selects select every option whose value is in the array
+	if (elem.tagName.toLowerCase() === 'select' && elem.multiple) {
+		let selected = Array.isArray(val) ? val.map(String) : [];
+		for (let option of elem.options) {
+			option.selected = selected.includes(option.value);
+		}
+		return;
+	}
+
+	// Otherwise, set the value (only if it changed, so that the cursor doesn't jump around)
+	let str = val === null || val === undefined ? '' : String(val);
+	if (elem.value === str) return;
+	elem.value = str;
+
+}
+
+/**
+ * Bind a form field to a property in a signal
+ * @param  {Element} elem The field
+ * @param  {String}  path The property path (if falsy, the field is unbound)
+ * @param  {Object}  data The signal (or object of signals) the path is relative to
+ */
+function bindField (elem, path, data) {
+
+	// If there's no path or data, remove the binding
+	if (!path || !data) {
+		if (!fields.has(elem)) return;
+		fields.delete(elem);
+		elem.removeEventListener(getEventType(elem), handler);
+		return;
+	}
+
+	// Otherwise, add it
+	// Adding the same listener twice does nothing, so this is safe to run on every render
+	fields.set(elem, {path, data});
+	elem.addEventListener(getEventType(elem), handler);
+
+}
+
+
+export {bindField, syncField};
@@ -1,15 +1,228 @@
 import render from './render.js';
-import {emit, getElem} from './utilities.js';
+import {schedule} from './batch.js';
+import {traceTrigger} from './debug.js';
+import {getSanitizer} from './sanitize.js';
+import {untrack, unwatch, watch} from './tracking.js';
+import {emit, getElem, setRoot} from './utilities.js';
 
 
+// The components that have been started, and the observer that watches for their roots to be added or removed
+let components = new Set();
+let observer;
+
+// Components rendered into an element that was removed from the DOM
+// They're held weakly, so that the element can be garbage collected if it's never added back
+let detached = new Set();
+
+/**
+ * Get the current values of a component's selectors
+ * @param  {Component} instance The Component instance
+ * @return {Array}              The values (null if the component has no selectors)
+ */
+function getSelected (instance) {
+	if (!instance.selectors) return null;
+	return untrack(function () {
+		return instance.selectors.map((selector) => selector());
+	});
+}
+
+/**
+ * Check if any of a component's selectors have a new value, and save the new values
+ * @param  {Component} instance The Component instance
+ * @return {Boolean}            If true, a value changed (or the component has no selectors)
+ */
+function hasChanged (instance) {
+	if (!instance.selectors) return true;
+	let selected = getSelected(instance);
+	let isChanged = !instance.selected || selected.some((value, index) => value !== instance.selected[index]);
+	instance.selected = selected;
+	return isChanged;
+}
+
 /**
  * Create the event handler function
  * @param {Class} instance The Component instance
  */
 function createHandler (instance) {
 	return function handler (event) {
-		instance.render();
+		if (!hasChanged(instance)) return;
+		traceTrigger(event, instance);
+		requestRender(instance);
+	};
+}
+
+/**
+ * Create an observer that renders a component when the signal properties its template read change
+ * If a batch is running, the render waits until it's done
+ * @param  {Component} instance The Component instance
+ * @return {Object}             The observer
+ */
+function createObserver (instance) {
+
+	/**
+	 * Render the component
+	 */
+	function run () {
+		traceTrigger({type: 'reef:track', detail: null}, instance);
+		requestRender(instance);
+	}
+
+	return {
+		deps: new Set(),
+		notify () {
+			schedule(run);
+		}
 	};
+
+}
+
+/**
+ * Run a lifecycle hook, if the component has one
+ * @param  {Component} instance The Component instance
+ * @param  {String}    name     The hook name
+ * @param  {*}         args     The arguments to pass to the hook
+ * @return {*}                  The value returned by the hook
+ */
+function runHook (instance, name, ...args) {
+	if (typeof instance.hooks[name] !== 'function') return;
+	return instance.hooks[name].apply(instance, args);
+}
+
+/**
+ * Settle the Promises for pending renders
+ * @param  {Component} instance The Component instance
+ * @param  {Error}     error    If defined, the Promises are rejected with this error
+ */
+function settle (instance, error) {
+	let pending = instance.pending;
+	instance.pending = [];
+	for (let {resolve, reject} of pending) {
+		if (error) {
+			reject(error);
+		} else {
+			resolve();
+		}
+	}
+}
+
+/**
+ * Render a component at the next animation frame
+ * If there's a pending render, it's canceled, and its Promises settle when the new render runs
+ * @param  {Component} instance The Component instance
+ */
+function requestRender (instance) {
+
+	// If there's a pending render, cancel it
+	if (instance.debounce) {
+		window.cancelAnimationFrame(instance.debounce);
+	}
+
+	// Setup the new render to run at the next animation frame
+	instance.debounce = window.requestAnimationFrame(function () {
+		instance.debounce = null;
+		if (!instance.isRunning) {
+			settle(instance);
+			return;
+		}
+		try {
+			if (runHook(instance, 'onBeforeRender', instance.root) === false) {
+				settle(instance);
+				return;
+			}
+			let template = instance.observer ? watch(instance.observer, () => instance.template()) : instance.template();
+			render(instance.root, template, instance.events, {hydrate: instance.hydrate, bind: instance.bind, sanitizer: instance.sanitizer});
+			instance.hydrate = false;
+			runHook(instance, 'onRender', instance.root);
+			settle(instance);
+		} catch (error) {
+
+			// If there's an error hook, let it handle the error
+			// If the hook throws, too, its error is reported after the pending renders settle
+			if (typeof instance.hooks.onError === 'function') {
+				try {
+					runHook(instance, 'onError', error);
+				} finally {
+					settle(instance);
+				}
+				return;
+			}
+
+			// Otherwise, reject the Promises that are waiting on the render
+			// If nothing is waiting, report the error
+			if (!instance.pending.length) throw error;
+			settle(instance, error);
+
+		}
+	});
+
+}
+
+/**
+ * Stop components whose root was removed from the DOM, and start components whose root was added
+ * @param  {Array} mutations The DOM mutations
+ */
+function updateComponents (mutations) {
+
+	// Get the elements that were added and removed
+	let added = false;
+	let removed = [];
+	for (let {addedNodes, removedNodes} of mutations) {
+		if (Array.from(addedNodes).some((node) => node.nodeType === 1)) {
+			added = true;
+		}
+		for (let node of removedNodes) {
+			if (node.nodeType !== 1) continue;
+			removed.push(node);
+		}
+	}
+
+	// Restart components whose element was added back
+	if (added) {
+		for (let ref of detached) {
+			let instance = ref.deref();
+			if (instance && !instance.root.isConnected) continue;
+			detached.delete(ref);
+			if (!instance) continue;
+			components.add(instance);
+			instance.mount();
+		}
+	}
+
+	for (let instance of components) {
+
+		// If the component is running, stop it if its root was removed
+		if (instance.isRunning) {
+			let {root} = instance;
+			if (root.isConnected || !removed.some((node) => node.contains(root))) continue;
+			instance.unmount();
+
+			// Components rendered into an element wait (weakly held) for it to be added back
+			if (typeof instance.elem !== 'string') {
+				components.delete(instance);
+				detached.add(new WeakRef(instance));
+				continue;
+			}
+
+		}
+
+		// Otherwise, start it if its selector now matches an element
+		// The element may have been replaced in the same render that removed the old one
+		if (!added || typeof instance.elem !== 'string') continue;
+		let root = getElem(instance.elem);
+		if (!root || !root.isConnected) continue;
+		instance.mount();
+
+	}
+
+}
+
+/**
+ * Start watching for component roots to be added or removed
+ */
+function observe () {
+	if (observer || typeof MutationObserver === 'undefined') return;
+	observer = new MutationObserver(updateComponents);
+	observer.observe(document, {childList: true, subtree: true});
 }
 
 /**
@@ -19,11 +232,21 @@ class Component {
 
 	/**
 	 * The constructor object
-	 * @param  {Node|String} elem            The element or selector to render the template into
-	 * @param  {Function}    template        The template function to run when the data updates
-	 * @param  {Object}      options         Additional options
-	 * @param  {Array}       options.signals The names of the signals to listen for
-	 * @param  {Object}      options.events  The allowed event functions
+	 * @param  {Node|String} elem                   The element or selector to render the template into
+	 * @param  {Function}    template               The template function to run when the data updates
+	 * @param  {Object}      options                Additional options
+	 * @param  {Array}       options.signals        The names of the signals to listen for
+	 * @param  {Array}       options.selectors      Functions that return the data the template uses (the component only renders when one of their values changes)
+	 * @param  {Boolean}     options.track          If true, track the signal properties the template reads, and only render when they change (instead of listening for signal events)
+	 * @param  {Object}      options.events         The allowed event functions
+	 * @param  {Boolean}     options.hydrate        If true, adopt existing server-rendered markup on the first render
+	 * @param  {Object}      options.bind           The signal (or object of signals) that [@bind] form field paths are relative to
+	 * @param  {Sanitizer}   options.sanitizer      The sanitizer policy (defaults to the global policy)
+	 * @param  {Function}    options.onStart        Runs when the component starts (receives the root element)
+	 * @param  {Function}    options.onBeforeRender Runs before each render (return false to cancel the render)
+	 * @param  {Function}    options.onRender       Runs after each render
+	 * @param  {Function}    options.onStop         Runs when the component stops
+	 * @param  {Function}    options.onError        Runs if the template or render throws an error (receives the error)
 	 */
 	constructor (elem, template, options) {
 
@@ -31,9 +254,25 @@ class Component {
 		this.elem = elem;
 		this.template = template;
 		this.signals = options.signals ? options.signals.map((signal) => `reef:signal-${signal}`) : ['reef:signal'];
+		this.selectors = options.selectors || null;
+		this.selected = null;
+		this.observer = options.track ? createObserver(this) : null;
 		this.events = options.events;
+		this.hydrate = !!options.hydrate;
+		this.bind = options.bind;
+		this.sanitizer = options.sanitizer ? getSanitizer(options.sanitizer) : undefined;
 		this.handler = createHandler(this);
 		this.debounce = null;
+		this.pending = [];
+		this.hooks = {
+			onStart: options.onStart,
+			onBeforeRender: options.onBeforeRender,
+			onRender: options.onRender,
+			onStop: options.onStop,
+			onError: options.onError
+		};
+		this.root = null;
+		this.isRunning = false;
 
 		// Init
 		this.start();
@@ -42,43 +281,83 @@ class Component {
 
 	/**
 	 * Start reactive data rendering
+	 * If the element isn't in the DOM yet, rendering starts when it's added
 	 */
 	start () {
-		for (let signal of this.signals) {
-			document.addEventListener(signal, this.handler);
-		}
-		this.render();
-		emit('start', null, getElem(this.elem));
+		components.add(this);
+		observe();
+		this.mount();
 	}
 
 	/**
 	 * Stop reactive data rendering
 	 */
 	stop () {
-		for (let signal of this.signals) {
-			document.removeEventListener(signal, this.handler);
+		components.delete(this);
+		for (let ref of detached) {
+			if (ref.deref() !== this) continue;
+			detached.delete(ref);
 		}
-		emit('stop', null, getElem(this.elem));
+		this.unmount();
 	}
 
 	/**
-	 * Render the UI
+	 * Start listening for signals and render into the element
+	 * Emits a reef:start event, with the component as the detail
 	 */
-	render () {
-
-		// Cache instance
-		let self = this;
+	mount () {
+		if (this.isRunning) return;
+		let root = getElem(this.elem);
+		if (!root) return;
+		this.root = root;
+		this.isRunning = true;
+		setRoot(root, true);
+		if (!this.observer) {
+			this.selected = getSelected(this);
+			for (let signal of this.signals) {
+				document.addEventListener(signal, this.handler);
+			}
+		}
+		requestRender(this);
+		emit('start', this, root);
+		runHook(this, 'onStart', root);
+	}
 
-		// If there's a pending render, cancel it
-		if (self.debounce) {
-			window.cancelAnimationFrame(self.debounce);
+	/**
+	 * Stop listening for signals
+	 * Emits a reef:stop event, with the component as the detail
+	 * If the element was removed from the DOM, the event is emitted on the document
+	 */
+	unmount () {
+		if (!this.isRunning) return;
+		this.isRunning = false;
+		setRoot(this.root, false);
+		if (this.observer) {
+			unwatch(this.observer);
+		} else {
+			for (let signal of this.signals) {
+				document.removeEventListener(signal, this.handler);
+			}
+		}
+		if (this.debounce) {
+			window.cancelAnimationFrame(this.debounce);
+			this.debounce = null;
 		}
+		settle(this);
+		emit('stop', this, this.root.isConnected ? this.root : document);
+		runHook(this, 'onStop', this.root);
+	}
 
-		// Setup the new render to run at the next animation frame
-		self.debounce = window.requestAnimationFrame(function () {
-			render(self.elem, self.template(), self.events);
+	/**
+	 * Render the UI
+	 * @return {Promise} Resolves once the UI has been rendered (or the render was canceled)
+	 */
+	render () {
+		let self = this;
+		return new Promise(function (resolve, reject) {
+			self.pending.push({resolve, reject});
+			requestRender(self);
 		});
-
 	}
 
 }
@@ -94,4 +373,4 @@ function component (elem, template, options = {}) {
 }
 
 
-export default component;
\ No newline at end of file
+export default component;
@@ -0,0 +1,90 @@
+import {notify, subscribe} from './batch.js';
+import {track, trigger, watch} from './tracking.js';
+
+
+/**
+ * Computed Class
+ */
+class Computed {
+
+	/**
+	 * The constructor object
+	 * @param  {Function} fn   The function that calculates the value
+	 * @param  {String}   name The custom event namespace for the signal
+	 */
+	constructor (fn, name = '') {
+
+		// Get signal type
+		let type = 'signal' + (name ? `-${name}` : '');
+		let self = this;
+
+		// The cached value, and whether or not it needs to be recalculated
+		let cache;
+		let isDirty = true;
+
+		// When a signal property the value depends on changes, invalidate the cache
+		let observer = {
+			deps: new Set(),
+			notify () {
+				if (isDirty) return;
+				isDirty = true;
+				notify(type, {prop: 'value', action: 'invalidate'}, self);
+				trigger(self, 'value');
+			}
+		};
+
+		/**
+		 * Get the value, recalculating it if needed
+		 * @return {*} The value
+		 */
+		function getValue () {
+			if (isDirty) {
+				cache = watch(observer, fn);
+				isDirty = false;
+			}
+			return cache;
+		}
+
+		// Create data property setter/getter
+		Object.defineProperties(this, {
+			value: {
+				get () {
+					track(self, 'value');
+					return getValue();
+				},
+				set () {
+					return true;
+				}
+			}
+		});
+
+		/**
+		 * Run a function whenever the value changes
+		 * The value is recalculated before the function runs, so that later changes are noticed, too
+		 * @param  {Function} fn The function to run (receives the event details)
+		 * @return {Function}    Stops running the function
+		 */
+		this.subscribe = function (fn) {
+			getValue();
+			return subscribe(self, function (detail) {
+				getValue();
+				fn(detail);
+			});
+		};
+
+	}
+
+}
+
+/**
+ * Create a new computed signal
+ * @param  {Function} fn   The function that calculates the value
+ * @param  {String}   name The custom event namespace for the signal
+ * @return {Computed}      The Computed instance
+ */
+function computed (fn, name = '') {
+	return new Computed(fn, name);
+}
+
+
+export default computed;
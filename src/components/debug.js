@@ -0,0 +1,200 @@
+// Whether debug mode is on, and the DOM operation counts for the render that's running
+let isEnabled = false;
+let counts = null;
+
+// The most entries to keep in each devtools log
+let maxEntries = 500;
+
+/**
+ * Get a high resolution timestamp
+ * @return {Number} The timestamp, in milliseconds
+ */
+function now () {
+	return typeof performance === 'undefined' ? Date.now() : performance.now();
+}
+
+/**
+ * Get a readable label for an element
+ * @param  {Node}   elem The element
+ * @return {String}      The label (like div#app.main)
+ */
+function getLabel (elem) {
+	if (!elem || elem.nodeType !== 1) return elem && elem.host ? `${getLabel(elem.host)} (shadow)` : String(elem);
+	return elem.tagName.toLowerCase() + (elem.id ? `#${elem.id}` : '') + (elem.classList.length ? `.${Array.from(elem.classList).join('.')}` : '');
+}
+
+/**
+ * Format a list of counts for logging
+ * @param  {Object} stats The counts
+ * @return {String}       The formatted counts
+ */
+function formatCounts (stats) {
+	return Object.keys(stats).map((key) => `${stats[key]} ${key}`).join(', ');
+}
+
+/**
+ * Create the devtools hook that browser extensions and console panels can read
+ * @return {Object} The hook
+ */
+function createHook () {
+	let listeners = new Set();
+	return {
+		signals: [],
+		triggers: [],
+		renders: [],
+
+		/**
+		 * Listen for new entries
+		 * @param  {Function} fn The listener (receives the log type and the entry)
+		 * @return {Function}    Stops listening
+		 */
+		subscribe (fn) {
+			listeners.add(fn);
+			return function () {
+				listeners.delete(fn);
+			};
+		},
+
+		/**
+		 * Run the listeners for a new entry
+		 * @param  {String} type  The log type
+		 * @param  {Object} entry The entry
+		 */
+		publish (type, entry) {
+			for (let fn of listeners) {
+				fn(type, entry);
+			}
+		},
+
+		/**
+		 * Clear the logs
+		 */
+		clear () {
+			this.signals = [];
+			this.triggers = [];
+			this.renders = [];
+		}
+
+	};
+}
+
+/**
+ * Add an entry to a devtools log
+ * @param  {String} type    The log type (signals, triggers, or renders)
+ * @param  {Object} entry   The entry
+ * @param  {String} message The message to log to the console
+ */
+function log (type, entry, message) {
+	let hook = typeof window === 'undefined' ? null : window.__REEF_DEVTOOLS__;
+	if (hook) {
+		hook[type].push(entry);
+		if (hook[type].length > maxEntries) {
+			hook[type].shift();
+		}
+		hook.publish(type, entry);
+	}
+	console.debug(`[reef] ${message}`, entry);
+}
+
+/**
+ * Check if debug mode is on
+ * @return {Boolean} If true, debug mode is on
+ */
+function isDebugging () {
+	return isEnabled;
+}
+
+/**
+ * Log a signal mutation
+ * @param  {String} type     The signal event type (like signal-todos)
+ * @param  {Object} detail   The event details
+ * @param  {*}      oldValue The value before the change
+ */
+function traceSignal (type, detail, oldValue) {
+	if (!isEnabled) return;
+	let path = (detail.path || []).join('.');
+	let entry = Object.assign({time: now(), event: `reef:${type}`, oldValue}, detail);
+	log('signals', entry, `reef:${type} ${detail.action}${path ? ` ${path}` : ''}`);
+}
+
+/**
+ * Log a signal event that triggered a component to render
+ * @param  {Event}     event     The signal event
+ * @param  {Component} instance  The Component instance
+ */
+function traceTrigger (event, instance) {
+	if (!isEnabled) return;
+	let entry = {time: now(), event: event.type, detail: event.detail, component: instance, root: instance.root};
+	log('triggers', entry, `${event.type} triggered a render of ${getLabel(instance.root)}`);
+}
+
+/**
+ * Count a DOM operation for the render that's running
+ * @param  {String} operation The operation (inserts, removes, moves, attributes, or text)
+ */
+function count (operation) {
+	if (!counts) return;
+	counts[operation]++;
+}
+
+/**
+ * Start profiling a render
+ * @return {Object} The profile (null if debug mode is off)
+ */
+function startRender () {
+	if (!isEnabled) return null;
+	counts = {inserts: 0, removes: 0, moves: 0, attributes: 0, text: 0};
+	return {start: now(), parsed: 0, counts};
+}
+
+/**
+ * Mark the time when a profiled render finished parsing the template
+ * @param  {Object} profile The profile
+ */
+function endParse (profile) {
+	if (!profile) return;
+	profile.parsed = now();
+}
+
+/**
+ * Finish profiling a render and log it
+ * @param  {Object} profile The profile
+ * @param  {Node}   root    The element that was rendered into
+ */
+function endRender (profile, root) {
+	if (!profile) return;
+	counts = null;
+	let end = now();
+	let entry = {
+		time: profile.start,
+		root,
+		parse: profile.parsed - profile.start,
+		diff: end - profile.parsed,
+		operations: profile.counts
+	};
+	log('renders', entry, `render ${getLabel(root)}: stringToHTML ${entry.parse.toFixed(2)}ms, diff ${entry.diff.toFixed(2)}ms (${formatCounts(profile.counts)})`);
+}
+
+/**
+ * Turn debug mode on or off
+ * When it's on, signal changes, the renders they trigger, and render timing are logged to the console
+ * and to window.__REEF_DEVTOOLS__
+ * @param  {Boolean} enabled If true, turn debug mode on
+ * @return {Object}          The devtools hook (undefined if debug mode is off)
+ */
+function debug (enabled = true) {
+	isEnabled = !!enabled;
+	if (typeof window === 'undefined') return;
+	if (!isEnabled) {
+		delete window.__REEF_DEVTOOLS__;
+		return;
+	}
+	if (!window.__REEF_DEVTOOLS__) {
+		window.__REEF_DEVTOOLS__ = createHook();
+	}
+	return window.__REEF_DEVTOOLS__;
+}
+
+
+export {count, endParse, endRender, isDebugging, startRender, traceSignal, traceTrigger};
+export default debug;
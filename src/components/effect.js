@@ -0,0 +1,66 @@
+import {schedule} from './batch.js';
+import {unwatch, watch} from './tracking.js';
+
+
+/**
+ * Run a function, and run it again whenever the signals it reads change
+ * @param  {Function} fn The function to run (can return a cleanup function)
+ * @return {Function}    Stops the effect and runs the cleanup function
+ */
+function effect (fn) {
+
+	// The cleanup function from the last run
+	let cleanup;
+
+	// If true, the effect is running or was stopped
+	let isRunning = false;
+	let isStopped = false;
+
+	/**
+	 * Run the cleanup function from the last run
+	 */
+	function runCleanup () {
+		if (typeof cleanup === 'function') {
+			cleanup();
+		}
+		cleanup = null;
+	}
+
+	/**
+	 * Run the effect and track the signals it reads
+	 * Changes the effect makes to its own signals don't cause it to run again
+	 */
+	function run () {
+		if (isRunning || isStopped) return;
+		isRunning = true;
+		try {
+			runCleanup();
+			cleanup = watch(observer, fn);
+		} finally {
+			isRunning = false;
+		}
+	}
+
+	// Run again when a tracked signal property changes
+	// If a batch is running, wait until it's done
+	let observer = {
+		deps: new Set(),
+		notify () {
+			schedule(run);
+		}
+	};
+
+	// Run the effect
+	run();
+
+	// Return a function to stop the effect
+	return function () {
+		isStopped = true;
+		unwatch(observer);
+		runCleanup();
+	};
+
+}
+
+
+export default effect;
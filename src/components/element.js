@@ -0,0 +1,211 @@
+import signal from './signal.js';
+import component from './component.js';
+import {isRoot, setRoot} from './utilities.js';
+
+
+// Used to give each element's signal a unique name
+let count = 0;
+
+/**
+ * Convert an attribute name into a property name
+ * @param  {String} name The attribute name (like start-count)
+ * @return {String}      The property name (like startCount)
+ */
+function toCamelCase (name) {
+	return name.replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Get the slots in an element's template that it renders its own content into
+ * Slots inside other components are skipped
+ * @param  {Node}  root The element the template is rendered into
+ * @return {Array}      The slots
+ */
+function getSlots (root) {
+	return Array.from(root.querySelectorAll('slot')).filter(function (slot) {
+		let parent = slot.parentNode;
+		while (parent && parent !== root) {
+			if (isRoot(parent)) return false;
+			parent = parent.parentNode;
+		}
+		return true;
+	});
+}
+
+/**
+ * Move an element's original child nodes into the matching slots in its template
+ * Filled slots are registered as roots, so rendering leaves their content alone
+ * @param  {Node}  root    The element the template is rendered into
+ * @param  {Array} slotted The element's original child nodes
+ */
+function fillSlots (root, slotted) {
+	for (let slot of getSlots(root)) {
+
+		// Get the nodes for this slot
+		// Nodes with a [slot] attribute go in the slot with that name, and everything else in the default slot
+		let name = slot.getAttribute('name') || '';
+		let nodes = slotted.filter((node) => (node.nodeType === 1 && node.getAttribute('slot') || '') === name);
+		if (!nodes.length) continue;
+
+		// If the slot already has them, skip it
+		if (nodes.every((node, index) => slot.childNodes[index] === node) && slot.childNodes.length === nodes.length) continue;
+
+		// Otherwise, replace the slot's fallback content
+		slot.replaceChildren(...nodes);
+		setRoot(slot, true);
+
+	}
+}
+
+/**
+ * Define a custom element that renders a Reef template
+ * @param  {String}         tagName            The element's tag name (must include a dash)
+ * @param  {Function}       template           The template function (receives the element's data and the element)
+ * @param  {Object}         options            Additional options (also passed along to component())
+ * @param  {Array}          options.attributes The attributes to watch for changes and add to the element's data
+ * @param  {Array}          options.properties The properties to add to the element's data
+ * @param  {Boolean|String} options.shadow     If truthy, render into a shadow root ("closed" for a closed one, otherwise open)
+ * @param  {Object}         options.events     The allowed event functions (or a function that receives the data and element and returns them)
+ * @param  {Array}          options.signals    The names of other signals to render on (the element's own data always triggers a render)
+ * @return {Class}                             The custom element class
+ */
+function defineElement (tagName, template, options = {}) {
+
+	// Only run if custom elements are supported
+	if (typeof customElements === 'undefined') return;
+	if (customElements.get(tagName)) return customElements.get(tagName);
+
+	// Get settings
+	let {attributes = [], properties = [], shadow = false, ...settings} = options;
+
+	/**
+	 * Reef Element Class
+	 */
+	class ReefElement extends HTMLElement {
+
+		/**
+		 * The attributes to watch for changes
+		 * @return {Array} The attribute names
+		 */
+		static get observedAttributes () {
+			return attributes;
+		}
+
+		/**
+		 * The constructor object
+		 */
+		constructor () {
+
+			// Always call super first in constructor
+			super();
+
+			// Create instance properties
+			this.signalName = `${tagName}-${count++}`;
+			this.data = signal({}, this.signalName);
+			this.root = shadow ? this.attachShadow({mode: shadow === 'closed' ? 'closed' : 'open'}) : this;
+			this.slotted = null;
+			this.component = null;
+
+			// If properties were set before the element was defined, move them into the data
+			for (let prop of properties) {
+				if (!Object.prototype.hasOwnProperty.call(this, prop)) continue;
+				let val = this[prop];
+				delete this[prop];
+				this[prop] = val;
+			}
+
+		}
+
+		/**
+		 * Start rendering when the element is added to the DOM
+		 */
+		connectedCallback () {
+
+			// If the component was already created, restart it
+			if (this.component) {
+				this.component.start();
+				return;
+			}
+
+			// Without a shadow root, set aside the original child nodes to put into slots
+			if (!shadow) {
+				this.slotted = Array.from(this.childNodes);
+				this.replaceChildren();
+			}
+
+			// Create the component
+			let self = this;
+			let events = typeof settings.events === 'function' ? settings.events(this.data, this) : settings.events;
+			this.component = component(this.root, function () {
+				return template(self.data, self);
+			}, Object.assign({}, settings, {
+				signals: [this.signalName].concat(settings.signals || []),
+				events,
+				onRender (root) {
+					if (self.slotted) {
+						fillSlots(root, self.slotted);
+					}
+					if (typeof settings.onRender !== 'function') return;
+					return settings.onRender.call(this, root);
+				}
+			}));
+
+		}
+
+		/**
+		 * Stop rendering when the element is removed from the DOM
+		 */
+		disconnectedCallback () {
+			if (!this.component) return;
+			this.component.stop();
+		}
+
+		/**
+		 * Update the data when a watched attribute changes
+		 * @param  {String} name   The attribute name
+		 * @param  {String} oldVal The old attribute value
+		 * @param  {String} newVal The new attribute value
+		 */
+		attributeChangedCallback (name, oldVal, newVal) {
+			this.data[toCamelCase(name)] = newVal;
+		}
+
+		/**
+		 * Emit a custom event from the element
+		 * The event bubbles, and crosses shadow root boundaries
+		 * @param  {String}  type   The event type
+		 * @param  {*}       detail Any details to pass along with the event
+		 * @return {Boolean}        If false, the event was canceled
+		 */
+		emit (type, detail) {
+			let event = new CustomEvent(type, {
+				bubbles: true,
+				cancelable: true,
+				composed: true,
+				detail
+			});
+			return this.dispatchEvent(event);
+		}
+
+	}
+
+	// Add the properties
+	for (let prop of properties) {
+		Object.defineProperty(ReefElement.prototype, prop, {
+			get () {
+				return this.data[prop];
+			},
+			set (val) {
+				this.data[prop] = val;
+			}
+		});
+	}
+
+	// Define the element
+	customElements.define(tagName, ReefElement);
+	return ReefElement;
+
+}
+
+
+export default defineElement;
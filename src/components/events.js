@@ -0,0 +1,222 @@
+// The event listeners bound to each element, by attribute name
+let bindings = new WeakMap();
+
+// The delegated listeners added to each render root
+let delegated = new WeakMap();
+
+// Literal values that can be passed to event listeners
+let literals = {true: true, false: false, null: null, undefined: undefined};
+
+// Events that don't bubble, so they're delegated in the capture phase and only run on their target
+let nonBubbling = ['abort', 'blur', 'cancel', 'canplay', 'close', 'ended', 'error', 'focus', 'invalid', 'load', 'loadeddata', 'loadedmetadata', 'mouseenter', 'mouseleave', 'pause', 'play', 'playing', 'pointerenter', 'pointerleave', 'scroll', 'scrollend', 'timeupdate', 'toggle', 'volumechange'];
+
+/**
+ * Split an event listener's arguments string into individual arguments
+ * Commas inside quoted strings don't split arguments
+ * @param  {String} str The arguments string
+ * @return {Array}      The arguments
+ */
+function splitArgs (str) {
+	let args = [];
+	let arg = '';
+	let quote = null;
+	for (let index = 0; index < str.length; index++) {
+		let char = str[index];
+		if (quote) {
+			if (char === '\\') {
+				arg += char + (str[++index] || '');
+				continue;
+			}
+			if (char === quote) {
+				quote = null;
+			}
+		} else if (char === '"' || char === '\'') {
+			quote = char;
+		} else if (char === ',') {
+			args.push(arg.trim());
+			arg = '';
+			continue;
+		}
+		arg += char;
+	}
+	args.push(arg.trim());
+	return args;
+}
+
+/**
+ * Convert an argument string into a function that gets its value when the event runs
+ * Supports string, number, boolean, null, and undefined literals,
+ * and references to event, this, and dataset (and their properties, like event.target.value)
+ * Anything else is passed as undefined
+ * @param  {String}   arg The argument string
+ * @return {Function}     Gets the value (receives the event and the element)
+ */
+function parseArg (arg) {
+
+	// String literals
+	let quote = arg[0];
+	if ((quote === '"' || quote === '\'') && arg.length > 1 && arg.endsWith(quote)) {
+		let str = arg.slice(1, -1).replace(/\\(.)/g, '$1');
+		return () => str;
+	}
+
+	// Number literals
+	if (/^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(arg)) {
+		let num = Number(arg);
+		return () => num;
+	}
+
+	// Other literals
+	if (Object.prototype.hasOwnProperty.call(literals, arg)) {
+		return () => literals[arg];
+	}
+
+	// References to the event, element, or element dataset
+	if (/^(event|this|dataset)(\.[\w$]+)*$/.test(arg)) {
+		let [ref, ...props] = arg.split('.');
+		return function (event, elem) {
+			let val = {event, this: elem, dataset: elem.dataset}[ref];
+			for (let prop of props) {
+				if (val === null || val === undefined) return;
+				val = val[prop];
+			}
+			return val;
+		};
+	}
+
+	return () => undefined;
+
+}
+
+/**
+ * Run the event listeners bound to the elements between the event target and the render root
+ * @param  {Event}   event   The event object
+ * @param  {Node}    root    The render root
+ * @param  {String}  key     The delegated listener key
+ * @param  {Boolean} capture If true, the listener is in the capture phase
+ */
+function handleEvent (event, root, key, capture) {
+
+	// Get the elements the event passed through, in the order the event reached them
+	// Events that don't bubble only run on their target
+	let path = [];
+	let elem = event.target;
+	while (elem && elem !== root) {
+		path.push(elem);
+		if (!event.bubbles) break;
+		elem = elem.parentNode;
+	}
+	if (capture) {
+		path.reverse();
+	}
+
+	for (let node of path) {
+
+		// Run each listener for this event
+		let bound = bindings.get(node);
+		if (!bound) continue;
+		for (let name in bound) {
+			let binding = bound[name];
+			if (binding.root !== root || binding.key !== key || binding.isDone) continue;
+			if (binding.modifiers.includes('self') && event.target !== node) continue;
+			if (binding.modifiers.includes('once')) {
+				binding.isDone = true;
+			}
+			if (binding.modifiers.includes('prevent')) {
+				event.preventDefault();
+			}
+			if (binding.modifiers.includes('stop')) {
+				event.stopPropagation();
+			}
+			binding.listener.call(node, event);
+		}
+
+		// If propagation was stopped, don't run listeners on the rest of the elements
+		if (event.cancelBubble) break;
+
+	}
+
+}
+
+/**
+ * Add a delegated listener for an event to the render root, if there isn't one already
+ * @param  {Node}    root    The render root
+ * @param  {String}  type    The event type
+ * @param  {Boolean} capture If true, listen in the capture phase
+ * @param  {Boolean} passive If true, the listener can't prevent the default behavior
+ * @return {String}          The delegated listener key
+ */
+function delegate (root, type, capture, passive) {
+	let key = type + (capture ? '.capture' : '') + (passive ? '.passive' : '');
+	let listeners = delegated.get(root) || {};
+	if (listeners[key]) return key;
+	listeners[key] = function (event) {
+		handleEvent(event, root, key, capture);
+	};
+	root.addEventListener(type, listeners[key], {capture, passive});
+	delegated.set(root, listeners);
+	return key;
+}
+
+/**
+ * Bind an event listener to an element
+ * Listeners are delegated to the render root, and modifiers (like onclick.prevent.once) set how they run
+ * Supported modifiers are prevent, stop, once, self, capture, and passive
+ * If the attribute includes arguments, like onclick="remove(this.id, 2)", they're passed to the function
+ * Otherwise, the function receives the event
+ * @param  {Element} elem    The element
+ * @param  {String}  name    The attribute name (like onclick or onsubmit.prevent)
+ * @param  {String}  val     The function to run for the event
+ * @param  {Object}  options The render options
+ */
+function listen (elem, name, val, options) {
+
+	// Only run if there are events
+	if (!name.startsWith('on') || !options.events || !options.root) return;
+
+	// If this listener is already bound, skip
+	let bound = bindings.get(elem) || {};
+	if (bound[name] && bound[name].val === val && bound[name].root === options.root) return;
+	delete bound[name];
+	bindings.set(elem, bound);
+
+	// Get the event listener ID and arguments
+	let [, fnName, argsStr = ''] = val.trim().match(/^([^(]*)(?:\((.*)\))?/s);
+	let listener = options.events[fnName.trim()];
+	if (!listener) return;
+	let args = argsStr.trim() ? splitArgs(argsStr).map(parseArg) : null;
+
+	// Get the event type and modifiers
+	let [type, ...modifiers] = name.slice(2).split('.');
+	let capture = modifiers.includes('capture') || nonBubbling.includes(type);
+
+	// Start listening
+	bound[name] = {
+		val,
+		root: options.root,
+		key: delegate(options.root, type, capture, modifiers.includes('passive')),
+		modifiers,
+		isDone: false,
+		listener: !args ? listener : function (event) {
+			return listener.apply(this, args.map((arg) => arg(event, this)));
+		}
+	};
+
+}
+
+/**
+ * Remove the event listeners from an element that aren't in its template anymore
+ * @param  {Element} elem     The element
+ * @param  {Element} template The template element
+ */
+function unlisten (elem, template) {
+	let bound = bindings.get(elem);
+	if (!bound) return;
+	for (let name in bound) {
+		if (template.hasAttribute(name) || template.hasAttribute(`@${name}`)) continue;
+		delete bound[name];
+	}
+}
+
+
+export {listen, unlisten};
@@ -1,17 +1,21 @@
-// Hold the selector for the element to focus on
-let focusOn;
+import {getElem} from './utilities.js';
+
+
+// The selectors for elements to focus on, and the element whose render they're waiting for
+let queue = new Map();
 
 /**
  * Set focus on the element
  * 1ms delay prevents odd bugs from browser-native focus shifts
+ * @param {String} selector The selector for the element to focus on
+ * @param {Node}   root     If set, only look for the element in this element
  */
-function setFocus () {
+function setFocus (selector, root) {
 	setTimeout(function () {
 
 		// Find target element in the DOM
-		let elem = document.querySelector(focusOn);
-		focusOn = null;
-		if (!elem) return;
+		let elem = root ? (root.matches(selector) ? root : root.querySelector(selector)) : document.querySelector(selector);
+		if (!elem || !elem.isConnected) return;
 
 		// Try to focus element
 		elem.focus();
@@ -24,14 +28,93 @@ function setFocus () {
 	}, 1);
 }
 
+/**
+ * Focus on queued elements after the next render
+ * Scoped elements wait for their scope to render
+ * @param  {Event} event The event object
+ */
+function renderHandler (event) {
+	for (let [selector, scope] of queue) {
+
+		// If it's scoped to an element, only run when that element renders
+		let root = scope ? getElem(scope) : null;
+		if (scope && root !== event.target) continue;
+
+		// Look for the element once, then stop waiting
+		queue.delete(selector);
+		setFocus(selector, root);
+
+	}
+
+	// If nothing else is queued, stop listening
+	if (queue.size) return;
+	document.removeEventListener('reef:render', renderHandler);
+}
+
+/**
+ * Get the details needed to find the focused element again after a render
+ * @param  {Node}   root The element being rendered into
+ * @return {Object}      The focused element details (undefined if focus isn't inside the root)
+ */
+function getFocus (root) {
+
+	// Get the focused element
+	let elem = document.activeElement;
+	if (!elem || elem === root || !root.contains(elem)) return;
+
+	// Get its path from the root
+	let path = [];
+	let node = elem;
+	while (node !== root) {
+		path.unshift(Array.prototype.indexOf.call(node.parentNode.children, node));
+		node = node.parentNode;
+	}
+
+	return {elem, id: elem.id, key: elem.getAttribute('key'), path};
+
+}
+
+/**
+ * Restore focus after a render, if the element that had focus was replaced
+ * The replacement is found by its ID, then its [key], then its position
+ * @param  {Node}   root    The element that was rendered into
+ * @param  {Object} focused The focused element details, from getFocus()
+ */
+function restoreFocus (root, focused) {
+
+	// If the element is still there, or focus moved somewhere else, there's nothing to restore
+	if (!focused || focused.elem.isConnected) return;
+	if (document.activeElement && document.activeElement !== document.body) return;
+
+	// Find the replacement
+	let elem = Array.from(root.querySelectorAll('[id], [key]')).find(function (node) {
+		return (focused.id && node.id === focused.id) || (focused.key && node.getAttribute('key') === focused.key);
+	});
+	if (!elem) {
+		elem = root;
+		for (let index of focused.path) {
+			elem = elem.children[index];
+			if (!elem) return;
+		}
+	}
+	if (elem.tagName !== focused.elem.tagName) return;
+
+	elem.focus();
+
+}
+
 /**
  * Shift focus to trigger a screen reader announcement after content is loaded
+ * Focus shifts after the next render (or, if scoped, the next render of the scope)
+ * @param {String}      selector The selector for the element to focus on
+ * @param {String|Node} scope    If set, wait for this element (or selector) to render
  */
-function focus (selector) {
+function focus (selector, scope) {
 	if (!selector || typeof selector !== 'string') return;
-	focusOn = selector;
-	document.addEventListener('reef:render', setFocus, {once: true});
+	queue.set(selector, scope);
+	document.addEventListener('reef:render', renderHandler);
 }
 
 
-export default focus;
\ No newline at end of file
+export {getFocus, restoreFocus};
+export default focus;
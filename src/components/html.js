@@ -0,0 +1,174 @@
+// Attributes whose values are URLs
+let urlAtts = ['action', 'background', 'cite', 'data', 'formaction', 'href', 'poster', 'src', 'xlink:href'];
+
+// Data URLs that are safe to use
+let safeDataURL = /^data:image\/(avif|bmp|gif|jpe?g|png|webp);/;
+
+/**
+ * HTML Class
+ * Marks a string as HTML that's safe to add to a template without escaping
+ */
+class HTML {
+
+	/**
+	 * The constructor object
+	 * @param  {String} str The HTML string
+	 */
+	constructor (str) {
+		this.str = str;
+	}
+
+	/**
+	 * Get the HTML string
+	 * @return {String} The HTML string
+	 */
+	toString () {
+		return this.str;
+	}
+
+}
+
+/**
+ * Encode the characters that have special meaning in HTML
+ * @param  {String} str The string
+ * @return {String}     The encoded string
+ */
+function escapeHTML (str) {
+	return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Encode a value that's used in a URL attribute
+ * At the start of the URL, unsafe schemes (like javascript:) are blocked
+ * Anywhere else, the value is URL-encoded
+ * @param  {String}  str     The string
+ * @param  {Boolean} isStart If true, the value is at the start of the URL
+ * @return {String}          The encoded string
+ */
+function escapeURL (str, isStart) {
+	if (!isStart) return escapeHTML(encodeURIComponent(str));
+	let url = str.replace(/[\u0000- ]/g, '').toLowerCase();
+	if (/^(javascript|vbscript):/.test(url) || (url.startsWith('data:') && !safeDataURL.test(url))) return '#';
+	return escapeHTML(str);
+}
+
+/**
+ * Update the parsing state with a static part of the template
+ * @param  {Object} state The parsing state
+ * @param  {String} str   The static string
+ */
+function updateState (state, str) {
+	for (let index = 0; index < str.length; index++) {
+		let char = str[index];
+
+		// Inside an attribute value, look for the closing quote
+		if (state.quote) {
+			if (char === state.quote) {
+				state.quote = null;
+				state.attName = '';
+			} else {
+				state.valueLength++;
+			}
+			continue;
+		}
+
+		// Outside of a tag, look for an opening tag
+		if (!state.inTag) {
+			if (char === '<' && /[a-z/]/i.test(str[index + 1] || '')) {
+				state.inTag = true;
+				state.tag = '';
+			}
+			continue;
+		}
+
+		// Inside a tag, look for the end of the tag or the start of an attribute value
+		if (char === '>') {
+			state.inTag = false;
+			continue;
+		}
+		if (char === '"' || char === '\'') {
+			let match = state.tag.match(/([^\s"'<>/=]+)\s*=\s*$/);
+			state.quote = char;
+			state.attName = match ? match[1].toLowerCase() : '';
+			state.valueLength = 0;
+			continue;
+		}
+		state.tag += char;
+
+	}
+}
+
+/**
+ * Convert an interpolated value to a string for its location in the template
+ * @param  {*}      value The value
+ * @param  {Object} state The parsing state
+ * @return {String}       The string
+ */
+function stringify (value, state) {
+
+	// Arrays are joined, and HTML is used as-is
+	if (Array.isArray(value)) {
+		return value.map((item) => stringify(item, state)).join('');
+	}
+	if (value instanceof HTML) return value.str;
+
+	// In text, empty values are skipped and everything else is escaped
+	if (!state.inTag) {
+		if (value === null || value === undefined || value === false) return '';
+		return escapeHTML(String(value));
+	}
+
+	// In attribute values, the value is escaped (and URLs are checked)
+	let str = String(value);
+	if (state.quote) {
+		let isStart = state.valueLength === 0;
+		state.valueLength += str.length;
+		if (urlAtts.includes(state.attName.replace(/^[@#]/, ''))) return escapeURL(str, isStart);
+		return escapeHTML(str);
+	}
+
+	// Unquoted attribute values are quoted
+	if (/=\s*$/.test(state.tag)) {
+		let attName = (state.tag.match(/([^\s"'<>/=]+)\s*=\s*$/) || [])[1] || '';
+		state.tag += '""';
+		return `"${urlAtts.includes(attName.toLowerCase().replace(/^[@#]/, '')) ? escapeURL(str, true) : escapeHTML(str)}"`;
+	}
+
+	// Anywhere else in a tag (like an attribute name), only safe characters are allowed
+	str = str.replace(/[^\w\s@#:.-]/g, '');
+	state.tag += str;
+	return str;
+
+}
+
+/**
+ * Create an HTML template, escaping each interpolated value for where it appears
+ * Arrays are joined, and html templates or html.raw() strings are added without escaping
+ * @param  {Array} strings The static parts of the template
+ * @param  {*}     values  The interpolated values
+ * @return {HTML}          The HTML
+ */
+function html (strings, ...values) {
+	let state = {inTag: false, tag: '', quote: null, attName: '', valueLength: 0};
+	let str = '';
+	strings.forEach(function (part, index) {
+		str += part;
+		updateState(state, part);
+		if (index >= values.length) return;
+		str += stringify(values[index], state);
+	});
+	return new HTML(str);
+}
+
+/**
+ * Mark a string as HTML that's safe to add to a template without escaping
+ * Only use this with HTML you trust
+ * @param  {String} str The HTML string
+ * @return {HTML}       The HTML
+ */
+html.raw = function (str) {
+	return new HTML(String(str));
+};
+
+
+export default html;
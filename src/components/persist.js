@@ -0,0 +1,211 @@
+import {subscribe} from './batch.js';
+import {emit, getType} from './utilities.js';
+
+
+// The IndexedDB database, once it's open
+let database;
+
+/**
+ * Create an adapter for a Web Storage API
+ * @param  {String} name The storage name (localStorage or sessionStorage)
+ * @return {Object}      The adapter
+ */
+function webStorage (name) {
+	return {
+		get (key) {
+			return window[name].getItem(key);
+		},
+		set (key, value) {
+			window[name].setItem(key, value);
+		}
+	};
+}
+
+/**
+ * Convert an IndexedDB request into a Promise
+ * @param  {IDBRequest} request The request
+ * @return {Promise}            Resolves with the request result
+ */
+function toPromise (request) {
+	return new Promise(function (resolve, reject) {
+		request.onsuccess = function () {
+			resolve(request.result);
+		};
+		request.onerror = function () {
+			reject(request.error);
+		};
+	});
+}
+
+/**
+ * Get the object store for persisted data from IndexedDB
+ * @param  {String}  mode The transaction mode
+ * @return {Promise}      Resolves with the object store
+ */
+function getObjectStore (mode) {
+	if (!database) {
+		let request = window.indexedDB.open('reef', 1);
+		request.onupgradeneeded = function () {
+			request.result.createObjectStore('persist');
+		};
+		database = toPromise(request);
+	}
+	return database.then(function (db) {
+		return db.transaction('persist', mode).objectStore('persist');
+	});
+}
+
+// The built-in storage adapters
+// Custom adapters need a get(key) and set(key, value) method, which can be sync or return a Promise
+let adapters = {
+	local: webStorage('localStorage'),
+	session: webStorage('sessionStorage'),
+	indexeddb: {
+		get (key) {
+			return getObjectStore('readonly').then(function (store) {
+				return toPromise(store.get(key));
+			});
+		},
+		set (key, value) {
+			return getObjectStore('readwrite').then(function (store) {
+				return toPromise(store.put(value, key));
+			});
+		}
+	}
+};
+
+/**
+ * Emit an error event for a persisted key
+ * @param  {String} key    The storage key
+ * @param  {String} action The action that failed (load or save)
+ * @param  {Error}  error  The error
+ */
+function emitError (key, action, error) {
+	emit('persist-error', {key, action, error});
+}
+
+/**
+ * Convert Maps and Sets into tagged objects, so that they can be saved as JSON
+ * @param  {String} key   The property
+ * @param  {*}      value The value
+ * @return {*}            The value to save
+ */
+function replacer (key, value) {
+	let type = getType(value);
+	if (type === 'map') return {'reef:type': 'Map', value: Array.from(value.entries())};
+	if (type === 'set') return {'reef:type': 'Set', value: Array.from(value.values())};
+	return value;
+}
+
+/**
+ * Convert tagged objects back into Maps and Sets when parsing saved JSON
+ * @param  {String} key   The property
+ * @param  {*}      value The parsed value
+ * @return {*}            The restored value
+ */
+function reviver (key, value) {
+	if (!value || typeof value !== 'object' || !Array.isArray(value.value)) return value;
+	if (value['reef:type'] === 'Map') return new Map(value.value);
+	if (value['reef:type'] === 'Set') return new Set(value.value);
+	return value;
+}
+
+/**
+ * Parse stored data and migrate it to the current version
+ * @param  {String} stored  The stored string
+ * @param  {Object} options The persistence options
+ * @return {*}              The data (undefined if there's nothing to restore)
+ */
+function parse (stored, options) {
+	if (stored === null || stored === undefined) return;
+	let {version, data} = JSON.parse(stored, reviver);
+	if (version === options.version) return data;
+	if (typeof options.migrate !== 'function') return;
+	return options.migrate(data, version);
+}
+
+/**
+ * Save data to storage and restore it on load
+ * @param  {Object}   target            The signal's data object or the Store instance to save changes from
+ * @param  {Object}   options           The persistence options
+ * @param  {String}   options.key       The storage key
+ * @param  {*}        options.adapter   The adapter to use (local, session, indexeddb, or a custom adapter object)
+ * @param  {Number}   options.version   The version of the data structure
+ * @param  {Function} options.migrate   Converts stored data from an older version (receives the data and its version)
+ * @param  {Number}   options.debounce  How long to wait after a change before saving, in milliseconds
+ * @param  {Function} getData           Returns the data to save
+ * @param  {Function} setData           Restores the stored data (receives the data, and true if it loaded asynchronously)
+ */
+function persist (target, options, getData, setData) {
+
+	// Get settings
+	let settings = Object.assign({adapter: 'local', version: 1, debounce: 250}, options);
+	let {key, debounce} = settings;
+	let adapter = typeof settings.adapter === 'string' ? adapters[settings.adapter] : settings.adapter;
+
+	// Don't save anything until the stored data has been restored
+	let isLoaded = false;
+	let timeout;
+
+	/**
+	 * Restore the stored data
+	 * @param  {String}  stored  The stored string
+	 * @param  {Boolean} isAsync If true, the data was loaded asynchronously
+	 */
+	function load (stored, isAsync) {
+		try {
+			let data = parse(stored, settings);
+			if (data !== undefined) {
+				setData(data, isAsync);
+			}
+		} catch (error) {
+			emitError(key, 'load', error);
+		}
+		isLoaded = true;
+	}
+
+	/**
+	 * Save the current data
+	 */
+	function save () {
+		try {
+			let saved = adapter.set(key, JSON.stringify({version: settings.version, data: getData()}, replacer));
+			if (saved && typeof saved.catch === 'function') {
+				saved.catch(function (error) {
+					emitError(key, 'save', error);
+				});
+			}
+		} catch (error) {
+			emitError(key, 'save', error);
+		}
+	}
+
+	// Load the stored data
+	try {
+		let stored = adapter.get(key);
+		if (stored && typeof stored.then === 'function') {
+			stored.then(function (value) {
+				load(value, true);
+			}, function (error) {
+				emitError(key, 'load', error);
+				isLoaded = true;
+			});
+		} else {
+			load(stored, false);
+		}
+	} catch (error) {
+		emitError(key, 'load', error);
+		isLoaded = true;
+	}
+
+	// Save changes after the data stops changing
+	subscribe(target, function () {
+		if (!isLoaded) return;
+		clearTimeout(timeout);
+		timeout = setTimeout(save, debounce);
+	});
+
+}
+
+
+export {persist};
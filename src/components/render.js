@@ -1,4 +1,10 @@
-import {emit, getElem} from './utilities.js';
+import {bindField, syncField} from './bind.js';
+import {count, endParse, endRender, startRender} from './debug.js';
+import {listen, unlisten} from './events.js';
+import {getFocus, restoreFocus} from './focus.js';
+import {getSanitizer} from './sanitize.js';
+import {enter, getClasses, getPositions, isLeaving, move, removeNode} from './transition.js';
+import {emit, getElem, isFalsy, isRoot} from './utilities.js';
 
 
 // Form fields and attributes that can be modified by users
@@ -7,20 +13,26 @@ let formFields = ['input', 'option', 'textarea'];
 let formAtts = ['value', 'checked', 'selected'];
 let formAttsNoVal = ['checked', 'selected'];
 
+// The last template and settings rendered into each element, and the first and last nodes it rendered
+let rendered = new WeakMap();
+
 /**
  * Convert a template string into HTML DOM nodes
- * @param  {String}  str The template string
- * @return {Element}     The template HTML
+ * @param  {String}    str       The template string
+ * @param  {Sanitizer} sanitizer The sanitizer policy
+ * @return {Element}             The template HTML
  */
-function stringToHTML (str) {
+function stringToHTML (str, sanitizer) {
 
 	// Create document
 	let parser = new DOMParser();
-	let doc = parser.parseFromString(`<body><template>${str}</template></body>`, 'text/html');
+	let doc = parser.parseFromString(sanitizer.toTrustedHTML(`<body><template>${str}</template></body>`), 'text/html');
 
-	// If there's a body, return it
+	// If there's a body, remove unsafe elements and return it
 	if (doc.body) {
-		return doc.body.firstElementChild.content;
+		let html = doc.body.firstElementChild.content;
+		sanitizer.clean(html);
+		return html;
 	}
 
 	// Otherwise, create a body and return it
@@ -28,75 +40,35 @@ function stringToHTML (str) {
 
 }
 
-/**
- * Check if an attribute string has a stringified falsy value
- * @param  {String}  str The string
- * @return {Boolean}     If true, value is falsy (yea, I know, that's a little confusing)
- */
-function isFalsy (str) {
-	return ['false', 'null', 'undefined', '0', '-0', 'NaN', '0n', '-0n'].includes(str);
-}
-
-/**
- * Add an event listener to an element
- * @param  {Element} elem   The element to delegate events on
- * @param  {String}  event  The event name
- * @param  {String}  val    The function to run for the event
- * @param  {Object}  events The allowed event functions
- */
-function listen (elem, event, val, events) {
-
-	// Only run if there are events
-	if (!event.startsWith('on') || !events) return;
-
-	// If there's already a listener for this event, skip
-	if (!!elem[event]) return;
-
-	// Get the event listener ID
-	let fnName = val.split('(')[0];
-	let listener = events[fnName];
-	if (!listener) return;
-
-	// Start listening
-	elem[event] = listener;
-
-}
-
-/**
- * Check if attribute should be skipped (sanitize properties)
- * @param  {String}  name   The attribute name
- * @param  {String}  value  The attribute value
- * @return {Boolean}        If true, skip the attribute
- */
-function skipAttribute (name, value) {
-	let val = value.replace(/\s+/g, '').toLowerCase();
-	if (['src', 'href', 'xlink:href'].includes(name)) {
-		if (val.includes('javascript:') || val.includes('data:text/html')) return true;
-	}
-	if (name.startsWith('on') || name.startsWith('@on') || name.startsWith('#on')) return true;
-}
-
 /**
  * Add an attribute to an element
- * @param {Node}   elem   The element
- * @param {String} att    The attribute
- * @param {String} val    The value
- * @param {Object} events The allowed event functions
+ * @param {Node}   elem    The element
+ * @param {String} att     The attribute
+ * @param {String} val     The value
+ * @param {Object} options The render options
  */
-function addAttribute (elem, att, val, events) {
+function addAttribute (elem, att, val, options) {
 
 	// If there's an event object, add listener
-	listen(elem, att, val, events);
+	listen(elem, att, val, options);
 
 	// Sanitize dangerous attributes
-	if (skipAttribute(att, val)) return;
+	if (options.sanitizer.skipAttribute(att, val)) return;
 
 	// If it's a form attribute, set the property directly
 	if (formAtts.includes(att)) {
 		elem[att] = att === 'value' ? val : ' ';
 	}
 
+	// Keep any classes for transitions that are running
+	if (att === 'class' && getClasses(elem).length) {
+		val = [val, ...getClasses(elem)].join(' ');
+	}
+
 	// Update the attribute
+	if (elem.getAttribute(att) !== val) {
+		count('attributes');
+	}
 	elem.setAttribute(att, val);
 
 }
@@ -114,6 +86,9 @@ function removeAttribute (elem, att) {
 	}
 
 	// Remove the attribute
+	if (elem.hasAttribute(att)) {
+		count('attributes');
+	}
 	elem.removeAttribute(att);
 
 }
@@ -122,13 +97,16 @@ function removeAttribute (elem, att) {
  * Compare the existing node attributes to the template node attributes and make updates
  * @param  {Node}   template The new template
  * @param  {Node}   existing The existing DOM node
- * @param  {Object} events   The allowed event functions
+ * @param  {Object} options  The render options
  */
-function diffAttributes (template, existing, events) {
+function diffAttributes (template, existing, options) {
 
 	// If the node is not an element, bail
 	if (template.nodeType !== 1) return;
 
+	// Update the form field binding
+	bindField(existing, template.getAttribute('@bind'), options.bind);
+
 	// Get attributes for the template and existing DOM
 	let templateAtts = template.attributes;
 	let existingAtts = existing.attributes;
@@ -136,8 +114,8 @@ function diffAttributes (template, existing, events) {
 	// Add and update attributes from the template into the DOM
 	for (let {name, value} of Array.from(templateAtts)) {
 
-		// Skip [#*] attributes
-		if (name.startsWith('#')) continue;
+		// Skip [#*] attributes and form field bindings
+		if (name.startsWith('#') || name === '@bind') continue;
 
 		// Skip user-editable form field attributes
 		if (formAtts.includes(name) && formFields.includes(template.tagName.toLowerCase())) continue;
@@ -152,7 +130,7 @@ function diffAttributes (template, existing, events) {
 		}
 
 		// Otherwise, add the attribute
-		addAttribute(existing, attName, value, events);
+		addAttribute(existing, attName, value, options);
 
 	}
 
@@ -170,14 +148,17 @@ function diffAttributes (template, existing, events) {
 
 	}
 
+	// Remove event listeners that aren't in the template anymore
+	unlisten(existing, template);
+
 }
 
 /**
  * Add default attributes to a newly created element
- * @param  {Node}   elem   The element
- * @param  {Object} events The allowed event functions
+ * @param  {Node}   elem    The element
+ * @param  {Object} options The render options
  */
-function addDefaultAtts (elem, events) {
+function addDefaultAtts (elem, options) {
 
 	// Only run on elements
 	if (elem.nodeType !== 1) return;
@@ -187,10 +168,18 @@ function addDefaultAtts (elem, events) {
 	for (let {name, value} of Array.from(elem.attributes)) {
 
 		// If the attribute should be skipped, remove it
-		if (skipAttribute(name, value)) {
+		if (options.sanitizer.skipAttribute(name, value)) {
 			removeAttribute(elem, name);
-			listen(elem, name, value, events);
-			return;
+			listen(elem, name, value, options);
+			continue;
+		}
+
+		// If it's a form field binding, bind the field
+		if (name === '@bind') {
+			removeAttribute(elem, name);
+			bindField(elem, value, options.bind);
+			syncField(elem);
+			continue;
 		}
 
 		// If the attribute isn't a [@*] or [#*], skip it
@@ -206,14 +195,14 @@ function addDefaultAtts (elem, events) {
 		if (formAttsNoVal.includes(attName) && isFalsy(value)) continue;
 
 		// Add the plain attribute
-		addAttribute(elem, attName, value, events);
+		addAttribute(elem, attName, value, options);
 
 	}
 
 	// If there are child elems, recursively add defaults to them
 	if (elem.childNodes) {
 		for (let node of elem.childNodes) {
-			addDefaultAtts(node, events);
+			addDefaultAtts(node, options);
 		}
 	}
 
@@ -245,151 +234,353 @@ function isDifferentNode (node1, node2) {
 }
 
 /**
- * Check if the desired node is further ahead in the current DOM tree branch
- * @param  {Node}     node     The node to look for
- * @param  {NodeList} existing The existing nodes in the DOM
- * @return {Node}              The element from the DOM
+ * Get the key that identifies a node in a list
+ * @param  {Node}   node The node
+ * @return {String}      The key (undefined if the node isn't keyed)
  */
-function aheadInTree (node, existing) {
-
-	// If the node isn't an element, bail
+function getKey (node) {
 	if (node.nodeType !== 1) return;
-
-	// Look for the ID or [key] attribute
-	let id = node.getAttribute('id');
 	let key = node.getAttribute('key');
-	if (!id || !key) return;
+	if (key) return `key:${key}`;
+	if (node.id) return `id:${node.id}`;
+}
 
-	// Use the ID or [key] as the selector
-	let selector = id ? `#${id}` : `[key="${key}"]`;
+/**
+ * Match each template node to the existing DOM node it should update
+ * Keyed nodes are matched by their [key] or ID, and other nodes by their order
+ * @param  {Array} templateNodes The template nodes
+ * @param  {Array} existingNodes The existing DOM nodes
+ * @return {Array}               The matching existing node for each template node (null if there isn't one)
+ */
+function matchNodes (templateNodes, existingNodes) {
+
+	// Index the existing nodes by key
+	let keyed = new Map();
+	let unkeyed = [];
+	for (let node of existingNodes) {
+		let key = getKey(node);
+		if (!key) {
+			unkeyed.push(node);
+		} else if (!keyed.has(key)) {
+			keyed.set(key, node);
+		}
+	}
 
-	// Look for the corresponding element in the DOM
-	return existing.querySelector(`:scope > ${selector}`);
+	// Find a match for each template node
+	let index = 0;
+	return templateNodes.map(function (node) {
+
+		// Keyed nodes can come from anywhere in the existing DOM
+		let key = getKey(node);
+		if (key) {
+			let match = keyed.get(key);
+			if (!match || isDifferentNode(node, match)) return null;
+			keyed.delete(key);
+			return match;
+		}
+
+		// Other nodes are matched in order
+		let match = unkeyed[index];
+		if (!match || isDifferentNode(node, match)) return null;
+		index++;
+		return match;
+
+	});
 
 }
 
 /**
- * If there are extra elements in DOM, remove them
- * @param  {Array} existingNodes The existing DOM nodes
- * @param  {Array} templateNodes The template nodes
+ * Get the longest increasing subsequence of existing node positions
+ * These are the nodes that can stay where they are, so that as few nodes as possible get moved
+ * @param  {Array} positions The existing position of each matched node (-1 if it's a new node)
+ * @return {Set}             The indexes of the nodes that don't need to move
  */
-function trimExtraNodes (existingNodes, templateNodes) {
-	let extra = existingNodes.length - templateNodes.length;
-	if (extra < 1)  return;
-	for (; extra > 0; extra--) {
-		existingNodes[existingNodes.length - 1].remove();
+function getStableNodes (positions) {
+
+	// For each subsequence length, track the index of the smallest tail, and the path back through each node
+	let tails = [];
+	let previous = [];
+	positions.forEach(function (position, index) {
+		if (position < 0) return;
+
+		// Binary search for the longest subsequence this node can extend
+		let low = 0;
+		let high = tails.length;
+		while (low < high) {
+			let mid = (low + high) >> 1;
+			if (positions[tails[mid]] < position) {
+				low = mid + 1;
+			} else {
+				high = mid;
+			}
+		}
+
+		previous[index] = low > 0 ? tails[low - 1] : -1;
+		tails[low] = index;
+
+	});
+
+	// Walk back through the longest subsequence
+	let stable = new Set();
+	let index = tails.length ? tails[tails.length - 1] : -1;
+	while (index > -1) {
+		stable.add(index);
+		index = previous[index];
 	}
+	return stable;
+
 }
 
 /**
- * Remove scripts from HTML
- * @param  {Node} elem The element to remove scripts from
+ * Update an existing DOM node to match the template node
+ * @param  {Node}   node     The template node
+ * @param  {Node}   existing The existing DOM node
+ * @param  {Object} options  The render options
  */
-function removeScripts (elem) {
-	let scripts = elem.querySelectorAll('script');
-	for (let script of scripts) {
-		script.remove();
+function patch (node, existing, options) {
+
+	// Stop diffing if element should be ignored
+	if ('hasAttribute' in node && node.hasAttribute('reef-ignore')) return;
+
+	// Stop diffing if the element is memoized and its cache key hasn't changed
+	if ('hasAttribute' in node && node.hasAttribute('reef-memo') && node.getAttribute('reef-memo') === existing.getAttribute('reef-memo')) return;
+
+	// If attributes are different, update them
+	diffAttributes(node, existing, options);
+
+	// Stop diffing if a native web component or another component's root
+	if (node.nodeName.includes('-') || isRoot(existing)) return;
+
+	// If content is different, update it
+	let templateContent = getNodeContent(node);
+	if (templateContent && templateContent !== getNodeContent(existing)) {
+		existing.textContent = templateContent;
+		count('text');
+	}
+
+	// If there shouldn't be child nodes but there are, remove them
+	if (!node.childNodes.length && existing.childNodes.length) {
+		for (let child of Array.from(existing.childNodes)) {
+			removeNode(child);
+			count('removes');
+		}
+		return;
+	}
+
+	// If DOM is empty and shouldn't be, build it up
+	// This uses a document fragment to minimize reflows
+	if (!existing.childNodes.length && node.childNodes.length) {
+		let fragment = document.createDocumentFragment();
+		diff(node, fragment, options);
+		existing.appendChild(fragment);
+		return;
 	}
+
+	// If there are nodes within it, recursively diff those
+	if (node.childNodes.length) {
+		diff(node, existing, options);
+	}
+
 }
 
 /**
  * Diff the existing DOM node versus the template
  * @param  {Array}  template The template HTML
  * @param  {Node}   existing The current DOM HTML
- * @param  {Object} events   The allowed event functions
+ * @param  {Object} options  The render options
  */
-function diff (template, existing, events) {
+function diff (template, existing, options) {
 
 	// Get the nodes in the template and existing UI
-	let templateNodes = template.childNodes;
-	let existingNodes = existing.childNodes;
-
-	// Don't inject scripts
-	if (removeScripts(template)) return;
+	// Nodes that are transitioning out are skipped
+	let templateNodes = Array.from(template.childNodes);
+	let existingNodes = Array.from(existing.childNodes).filter((node) => !isLeaving(node));
+
+	// Match each template node to the existing node that should be updated
+	// Get the positions of matched nodes with transitions, so that they can animate to their new positions
+	let matches = matchNodes(templateNodes, existingNodes);
+	let oldPositions = getPositions(matches);
+
+	// Remove existing nodes that don't have a match
+	let matched = new Set(matches);
+	for (let node of existingNodes) {
+		if (matched.has(node)) continue;
+		removeNode(node);
+		count('removes');
+	}
 
-	// Loop through each node in the template and compare it to the matching element in the UI
-	templateNodes.forEach(function (node, index) {
+	// Figure out which matched nodes are already in the right order
+	let positions = new Map(existingNodes.map((node, index) => [node, index]));
+	let stable = getStableNodes(matches.map((node) => node ? positions.get(node) : -1));
+
+	// Working backwards from the end, insert new nodes and move out-of-order ones into place
+	let next = null;
+	for (let index = templateNodes.length - 1; index > -1; index--) {
+
+		// If there's no existing node, create and insert one
+		let node = matches[index];
+		if (!node) {
+			node = templateNodes[index].cloneNode(true);
+			addDefaultAtts(node, options);
+			existing.insertBefore(node, next);
+			enter(node);
+			count('inserts');
+			next = node;
+			continue;
+		}
 
-		// If there's no existing element, create and append
-		if (!existingNodes[index]) {
-			let clone = node.cloneNode(true);
-			addDefaultAtts(clone, events);
-			existing.append(clone);
-			return;
+		// If it's out of order, move it
+		if (!stable.has(index)) {
+			existing.insertBefore(node, next);
+			count('moves');
 		}
 
-		// If there is, but it's not the same node type...
-		if (isDifferentNode(node, existingNodes[index])) {
+		// Update it to match the template
+		// Form fields are updated after their options, so that selects get the right value
+		patch(templateNodes[index], node, options);
+		syncField(node);
+		next = node;
 
-			// Check if node exists further in the tree
-			let ahead = aheadInTree(node, existing);
+	}
 
-			// If not, insert the new node before the current one
-			if (!ahead) {
-				let clone = node.cloneNode(true);
-				addDefaultAtts(clone, events);
-				existingNodes[index].before(clone);
-				return;
-			}
+	// Animate nodes with transitions that moved
+	move(oldPositions);
 
-			// Otherwise, move existing node to the current spot
-			existingNodes[index].before(ahead);
+}
 
-		}
+/**
+ * Adopt existing (server-rendered) DOM nodes, update their text and attributes, and wire up their event listeners
+ * If the markup doesn't match the template, fall back to diffing
+ * @param  {Node}   template The template HTML
+ * @param  {Node}   existing The current DOM HTML
+ * @param  {Object} options  The render options
+ */
+function hydrate (template, existing, options) {
 
-		// Stop diffing if element should be ignored
-		if (templateNodes[index] && 'hasAttribute' in templateNodes[index] && templateNodes[index].hasAttribute('reef-ignore')) return;
+	// Get the nodes in the template and existing UI
+	let templateNodes = template.childNodes;
+	let existingNodes = existing.childNodes;
 
-		// If attributes are different, update them
-		diffAttributes(node, existingNodes[index], events);
+	// If the markup is different, diff it instead
+	let isMatch = templateNodes.length === existingNodes.length && Array.from(templateNodes).every(function (node, index) {
+		return !isDifferentNode(node, existingNodes[index]);
+	});
+	if (!isMatch) {
+		diff(template, existing, options);
+		return;
+	}
 
-		// Stop diffing if a native web component
-		if (node.nodeName.includes('-')) return;
+	templateNodes.forEach(function (node, index) {
 
-		// If content is different, update it
+		// If the text is different (the server rendered older data), update it
 		let templateContent = getNodeContent(node);
 		if (templateContent && templateContent !== getNodeContent(existingNodes[index])) {
 			existingNodes[index].textContent = templateContent;
+			count('text');
 		}
 
-		// If there shouldn't be child nodes but there are, remove them
-		if (!node.childNodes.length && existingNodes[index].childNodes.length) {
-			existingNodes[index].innerHTML = '';
-			return;
-		}
+		// Only elements have attributes and event listeners
+		if (node.nodeType !== 1) return;
 
-		// If DOM is empty and shouldn't be, build it up
-		// This uses a document fragment to minimize reflows
-		if (!existingNodes[index].childNodes.length && node.childNodes.length) {
-			let fragment = document.createDocumentFragment();
-			diff(node, fragment, events);
-			existingNodes[index].appendChild(fragment);
+		// If the element should be ignored, only wire up its event listeners
+		if (node.hasAttribute('reef-ignore')) {
+			for (let {name, value} of Array.from(node.attributes)) {
+				listen(existingNodes[index], name, value, options);
+			}
 			return;
 		}
 
-		// If there are nodes within it, recursively diff those
-		if (node.childNodes.length) {
-			diff(node, existingNodes[index], events);
-		}
+		// Update the attributes, and wire up the event listeners and form field bindings
+		diffAttributes(node, existingNodes[index], options);
+
+		// Stop hydrating if element is a native web component or another component's root
+		if (node.nodeName.includes('-') || isRoot(existingNodes[index])) return;
+
+		// Hydrate the child nodes
+		hydrate(node, existingNodes[index], options);
+		syncField(existingNodes[index]);
 
 	});
 
-	// If extra elements in DOM, remove them
-	trimExtraNodes(existingNodes, templateNodes);
+}
 
+/**
+ * Check if a template is the same as the last one rendered into an element, and the rendered nodes are still there
+ * @param  {Node}    elem     The element
+ * @param  {String}  template The template string
+ * @param  {Object}  options  The render options
+ * @return {Boolean}          If true, the template hasn't changed
+ */
+function isUnchanged (elem, template, options) {
+	let last = rendered.get(elem);
+	if (!last || last.template !== template) return false;
+	if (last.events !== options.events || last.bind !== options.bind || last.sanitizer !== options.sanitizer) return false;
+	return last.first === elem.firstChild && last.last === elem.lastChild;
+}
+
+/**
+ * Update the form fields in an element to match their bound data
+ * @param  {Node} elem The element
+ */
+function syncFields (elem) {
+	for (let field of elem.querySelectorAll('input, select, textarea')) {
+		syncField(field);
+	}
 }
 
 /**
  * Render a template into the UI
- * @param  {Node|String} elem     The element or selector to render the template into
- * @param  {String}      template The template to render
- * @param  {Object}      events   The allowed event functions
+ * @param  {Node|String} elem              The element or selector to render the template into
+ * @param  {String}      template          The template to render
+ * @param  {Object}      events            The allowed event functions
+ * @param  {Object}      options           Additional options
+ * @param  {Boolean}     options.hydrate   If true, adopt the existing server-rendered markup instead of rebuilding it
+ * @param  {Object}      options.bind      The signal (or object of signals) that [@bind] form field paths are relative to
+ * @param  {Sanitizer}   options.sanitizer The sanitizer policy (defaults to the global policy)
  */
-function render (elem, template, events) {
+function render (elem, template, events, options = {}) {
 	let node = getElem(elem);
-	let html = stringToHTML(template);
+	let settings = Object.assign({}, options, {events, root: node, sanitizer: getSanitizer(options.sanitizer)});
+
+	// If the template hasn't changed since the last render, only update bound form fields
+	let str = String(template);
+	if (!options.hydrate && isUnchanged(node, str, settings)) {
+		if (!emit('before-render', null, node)) return;
+		syncFields(node);
+		emit('render', null, node);
+		return;
+	}
+
+	let profile = startRender();
+	let html = stringToHTML(str, settings.sanitizer);
+	endParse(profile);
 	if (!emit('before-render', null, node)) return;
-	diff(html, node, events);
+
+	// If the focused element gets replaced, focus its replacement
+	let focused = getFocus(node);
+	if (options.hydrate) {
+		hydrate(html, node, settings);
+	} else {
+		diff(html, node, settings);
+	}
+	restoreFocus(node, focused);
+	endRender(profile, node);
+
+	// Remember the template, so that the next render can be skipped if it's the same
+	// Hydrated markup isn't remembered, since it came from somewhere else
+	if (options.hydrate) {
+		rendered.delete(node);
+	} else {
+		rendered.set(node, {
+			template: str,
+			events: settings.events,
+			bind: settings.bind,
+			sanitizer: settings.sanitizer,
+			first: node.firstChild,
+			last: node.lastChild
+		});
+	}
+
 	emit('render', null, node);
 }
 
@@ -0,0 +1,302 @@
+import signal from './signal.js';
+import batch from './batch.js';
+import focus from './focus.js';
+import {emit} from './utilities.js';
+
+
+/**
+ * Convert a route path into a regular expression
+ * Supports named params (/users/:id), optional params (/posts/:id?), and a trailing wildcard (/files/*)
+ * @param  {String} path The route path
+ * @return {Object}      The regular expression and the param names
+ */
+function compile (path) {
+	let keys = [];
+	let pattern = path.split('/').filter((segment) => segment.length).map(function (segment) {
+
+		// Wildcards match the rest of the path
+		if (segment === '*') {
+			keys.push('wildcard');
+			return '(?:/(.*))?';
+		}
+
+		// Params match a single segment
+		if (segment.startsWith(':')) {
+			let isOptional = segment.endsWith('?');
+			keys.push(segment.slice(1, isOptional ? -1 : undefined));
+			return isOptional ? '(?:/([^/]+))?' : '/([^/]+)';
+		}
+
+		// Everything else matches as-is
+		return '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+	}).join('');
+	return {regex: new RegExp(`^${pattern}/?$`, 'i'), keys};
+}
+
+/**
+ * Decode a URL segment
+ * @param  {String} str The encoded segment
+ * @return {String}     The decoded segment (or the encoded one, if it's malformed)
+ */
+function decode (str) {
+	try {
+		return decodeURIComponent(str);
+	} catch (error) {
+		return str;
+	}
+}
+
+/**
+ * Parse a query string into an object
+ * Keys that are used more than once have an array of values
+ * @param  {String} str The query string
+ * @return {Object}     The query
+ */
+function parseQuery (str) {
+	let query = {};
+	for (let [key, value] of new URLSearchParams(str)) {
+		if (!Object.prototype.hasOwnProperty.call(query, key)) {
+			query[key] = value;
+		} else {
+			query[key] = [].concat(query[key], value);
+		}
+	}
+	return query;
+}
+
+/**
+ * Split a URL into its path, query string, and hash
+ * @param  {String} url The URL (relative to the router base)
+ * @return {Object}     The URL parts
+ */
+function splitURL (url) {
+	let [, path = '', search = '', hash = ''] = url.match(/^([^?#]*)(\?[^#]*)?(#.*)?$/) || [];
+	return {path: '/' + path.replace(/^\/+/, ''), search, hash};
+}
+
+/**
+ * Check if a click should be left to the browser
+ * @param  {Event}   event The event object
+ * @param  {Element} link  The clicked link
+ * @return {Boolean}       If true, ignore the click
+ */
+function isIgnoredClick (event, link) {
+	return (
+		event.defaultPrevented ||
+		event.button !== 0 ||
+		event.metaKey || event.ctrlKey || event.shiftKey || event.altKey ||
+		link.hasAttribute('download') ||
+		(link.getAttribute('rel') || '').split(/\s+/).includes('external') ||
+		(!!link.target && link.target !== '_self')
+	);
+}
+
+/**
+ * Router Class
+ */
+class Router {
+
+	/**
+	 * The constructor object
+	 * @param  {Array}          routes             The routes (objects with a path, an optional name, and any other details)
+	 * @param  {Object}         options            Additional options
+	 * @param  {String}         options.mode       How URLs are stored ("history" or "hash")
+	 * @param  {String}         options.base       The path the app lives at, in history mode (like /app)
+	 * @param  {String}         options.name       The custom event namespace for the route signal
+	 * @param  {Function}       options.beforeEach Runs before each navigation (receives the new and current route, and can return false to cancel, a URL to redirect, or a Promise)
+	 * @param  {String|Boolean} options.focus      The selector for the element to focus after navigating (false to not shift focus)
+	 */
+	constructor (routes, options) {
+
+		// Create instance properties
+		this.routes = routes.map((route) => Object.assign({}, route, compile(route.path)));
+		this.mode = options.mode === 'hash' ? 'hash' : 'history';
+		this.base = (options.base || '').replace(/\/+$/, '');
+		this.beforeEach = options.beforeEach;
+		this.focus = options.focus === undefined ? 'h1' : options.focus;
+		this.route = signal(this.match(this.getURL()), options.name || 'route');
+		this.navigating = 0;
+		this.current = this.getURL();
+
+		// Create event handlers
+		// If a navigation fails, a reef:route-error event is emitted
+		let self = this;
+		this.popstateHandler = function () {
+			let url = self.getURL();
+			self.navigate(url, {isPopstate: true}).catch(function (error) {
+				if (self.getURL() === url) {
+					window.history.replaceState(window.history.state, '', self.href(self.current));
+				}
+				emit('route-error', {url, error});
+			});
+		};
+		this.clickHandler = function (event) {
+			let link = event.target.closest && event.target.closest('a[href]');
+			if (!link || isIgnoredClick(event, link)) return;
+			let url = self.getLinkURL(link);
+			if (url === null || !self.match(url).route) return;
+			event.preventDefault();
+			self.navigate(url).catch(function (error) {
+				emit('route-error', {url, error});
+			});
+		};
+
+		// Init
+		this.start();
+
+	}
+
+	/**
+	 * Start listening for navigation
+	 */
+	start () {
+		window.addEventListener(this.mode === 'hash' ? 'hashchange' : 'popstate', this.popstateHandler);
+		document.addEventListener('click', this.clickHandler);
+	}
+
+	/**
+	 * Stop listening for navigation
+	 */
+	stop () {
+		window.removeEventListener(this.mode === 'hash' ? 'hashchange' : 'popstate', this.popstateHandler);
+		document.removeEventListener('click', this.clickHandler);
+	}
+
+	/**
+	 * Get the current URL, relative to the router base
+	 * @return {String} The URL
+	 */
+	getURL () {
+		if (this.mode === 'hash') {
+			return window.location.hash.slice(1) || '/';
+		}
+		let {pathname, search, hash} = window.location;
+		let path = pathname.startsWith(this.base) ? pathname.slice(this.base.length) : pathname;
+		return (path || '/') + search + hash;
+	}
+
+	/**
+	 * Get the URL a link points to, relative to the router base
+	 * @param  {Element} link The link
+	 * @return {String}       The URL (null if it's not handled by the router)
+	 */
+	getLinkURL (link) {
+		let url = new URL(link.href, window.location.href);
+		if (url.origin !== window.location.origin) return null;
+		if (this.mode === 'hash') {
+			if (url.pathname !== window.location.pathname || !url.hash.startsWith('#/')) return null;
+			return url.hash.slice(1);
+		}
+		if (this.base && url.pathname !== this.base && !url.pathname.startsWith(`${this.base}/`)) return null;
+		return (url.pathname.slice(this.base.length) || '/') + url.search + url.hash;
+	}
+
+	/**
+	 * Get the href for a URL, to use in links
+	 * @param  {String} url The URL, relative to the router base
+	 * @return {String}     The href
+	 */
+	href (url) {
+		let {path, search, hash} = splitURL(url);
+		return (this.mode === 'hash' ? '#' : this.base) + path + search + hash;
+	}
+
+	/**
+	 * Find the route that matches a URL
+	 * @param  {String} url The URL, relative to the router base
+	 * @return {Object}     The route details (route is null if nothing matches)
+	 */
+	match (url) {
+		let {path, search, hash} = splitURL(url);
+		let details = {path, name: null, params: {}, query: parseQuery(search), hash, route: null};
+		for (let route of this.routes) {
+			let match = path.match(route.regex);
+			if (!match) continue;
+			route.keys.forEach(function (key, index) {
+				if (match[index + 1] === undefined) return;
+				details.params[key] = decode(match[index + 1]);
+			});
+			let {regex, keys, ...info} = route;
+			details.name = route.name || null;
+			details.route = info;
+			break;
+		}
+		return details;
+	}
+
+	/**
+	 * Navigate to a URL
+	 * @param  {String}  url             The URL, relative to the router base
+	 * @param  {Object}  options         Additional options
+	 * @param  {Boolean} options.replace If true, replace the current history entry instead of adding one
+	 * @return {Promise}                 Resolves to true if the navigation happened, or false if it was canceled (rejects if the beforeEach guard throws)
+	 */
+	navigate (url, options = {}) {
+
+		// Cache instance
+		let self = this;
+
+		// Track this navigation, so that it's ignored if another one starts before it finishes
+		let id = ++self.navigating;
+		let to = self.match(url);
+		let from = self.match(self.current);
+
+		return Promise.resolve().then(function () {
+			return typeof self.beforeEach === 'function' ? self.beforeEach(to, from) : true;
+		}).then(function (result) {
+
+			// If another navigation started, ignore this one
+			if (id !== self.navigating) return false;
+
+			// If the navigation was canceled, restore the URL
+			if (result === false) {
+				if (options.isPopstate) {
+					window.history.replaceState(window.history.state, '', self.href(self.current));
+				}
+				return false;
+			}
+
+			// If the guard returned a URL, redirect to it
+			if (typeof result === 'string' && result !== url) {
+				return self.navigate(result, {replace: true});
+			}
+
+			// Update the URL
+			if (!options.isPopstate) {
+				window.history[options.replace ? 'replaceState' : 'pushState'](null, '', self.href(url));
+			}
+			self.current = url;
+
+			// Update the route signal
+			batch(function () {
+				for (let key in to) {
+					self.route[key] = to[key];
+				}
+			});
+
+			// Shift focus to the new content
+			if (self.focus) {
+				focus(self.focus);
+			}
+
+			return true;
+
+		});
+
+	}
+
+}
+
+/**
+ * Create a new router
+ * @param  {Array}  routes  The routes (objects with a path, an optional name, and any other details)
+ * @param  {Object} options Additional options
+ * @return {Router}         The Router instance
+ */
+function router (routes = [], options = {}) {
+	return new Router(routes, options);
+}
+
+
+export default router;
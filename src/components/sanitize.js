@@ -0,0 +1,182 @@
+// The policy used when render(), component(), or renderToString() aren't given one
+let globalPolicy;
+
+// The Trusted Types policies that have been created, by name
+let trustedPolicies = {};
+
+// The default policy settings
+let defaults = {
+	allowTags: null,
+	blockTags: ['base', 'embed', 'frame', 'frameset', 'meta', 'object'],
+	allowAttributes: null,
+	blockAttributes: ['srcdoc'],
+	urlAttributes: ['action', 'background', 'cite', 'data', 'formaction', 'href', 'poster', 'src', 'xlink:href'],
+	allowSchemes: null,
+	blockSchemes: ['javascript:', 'vbscript:', 'data:text/html'],
+	trustedTypes: 'reef'
+};
+
+// Scripts are always removed
+let scriptTags = ['script'];
+
+// Attributes that Reef uses, which are always allowed
+let reefAtts = ['key', 'bind'];
+
+/**
+ * Convert a list of names to lowercase
+ * @param  {Array} names The names
+ * @return {Array}       The lowercase names (or null if there's no list)
+ */
+function toLowerCase (names) {
+	return Array.isArray(names) ? names.map((name) => name.toLowerCase()) : null;
+}
+
+/**
+ * Sanitizer Class
+ */
+class Sanitizer {
+
+	/**
+	 * The constructor object
+	 * @param  {Object}         options                 The policy settings
+	 * @param  {Array}          options.allowTags       If set, only these elements are allowed
+	 * @param  {Array}          options.blockTags       Elements that are removed (along with their content)
+	 * @param  {Array}          options.allowAttributes If set, only these attributes are allowed
+	 * @param  {Array}          options.blockAttributes Attributes that are removed
+	 * @param  {Array}          options.urlAttributes   Attributes whose values are URLs
+	 * @param  {Array}          options.allowSchemes    If set, URLs must be relative or use one of these schemes (like https:)
+	 * @param  {Array}          options.blockSchemes    URL schemes that are removed
+	 * @param  {String|Boolean} options.trustedTypes    The Trusted Types policy name (false to not use Trusted Types)
+	 */
+	constructor (options = {}) {
+		let settings = Object.assign({}, defaults, options);
+		this.allowTags = toLowerCase(settings.allowTags);
+		this.blockTags = scriptTags.concat(toLowerCase(settings.blockTags) || []);
+		this.allowAttributes = toLowerCase(settings.allowAttributes);
+		this.blockAttributes = toLowerCase(settings.blockAttributes) || [];
+		this.urlAttributes = toLowerCase(settings.urlAttributes) || [];
+		this.allowSchemes = toLowerCase(settings.allowSchemes);
+		this.blockSchemes = toLowerCase(settings.blockSchemes) || [];
+		this.trustedTypes = settings.trustedTypes;
+	}
+
+	/**
+	 * Check if an element should be removed
+	 * @param  {String}  tagName The element's tag name
+	 * @return {Boolean}         If true, remove the element
+	 */
+	skipTag (tagName) {
+		let name = tagName.toLowerCase();
+		if (this.allowTags && !this.allowTags.includes(name)) return true;
+		return this.blockTags.includes(name);
+	}
+
+	/**
+	 * Check if an attribute should be skipped
+	 * Event listener attributes are always skipped (they're wired up from the allowed event functions instead)
+	 * @param  {String}  name  The attribute name
+	 * @param  {String}  value The attribute value
+	 * @return {Boolean}       If true, skip the attribute
+	 */
+	skipAttribute (name, value) {
+
+		// Get the plain attribute name
+		let attName = name.toLowerCase().replace(/^[@#]/, '');
+		if (attName.startsWith('on')) return true;
+
+		// Check the attribute name
+		if (this.allowAttributes && !this.allowAttributes.includes(attName) && !reefAtts.includes(attName) && !attName.startsWith('reef-')) return true;
+		if (this.blockAttributes.includes(attName)) return true;
+
+		// Check inline styles for script
+		let val = value.replace(/[\u0000- ]+/g, '').toLowerCase();
+		if (attName === 'style') {
+			return /expression\(|javascript:|vbscript:|-moz-binding|behavior:/.test(val);
+		}
+
+		// Check URLs for unsafe schemes
+		if (!this.urlAttributes.includes(attName)) return false;
+		if (this.blockSchemes.some((scheme) => val.includes(scheme))) return true;
+		if (!this.allowSchemes) return false;
+		let scheme = val.match(/^([a-z][a-z0-9+.-]*:)/);
+		return !!scheme && !this.allowSchemes.includes(scheme[1]);
+
+	}
+
+	/**
+	 * Remove the elements that aren't allowed from parsed HTML
+	 * @param  {Node} elem The element or fragment to sanitize
+	 */
+	clean (elem) {
+		for (let node of Array.from(elem.querySelectorAll('*'))) {
+			if (!this.skipTag(node.tagName)) continue;
+			node.remove();
+		}
+	}
+
+	/**
+	 * Convert an HTML string into TrustedHTML, so that it can be parsed on pages that require Trusted Types
+	 * The HTML is parsed into an inert document and sanitized before any of it is added to the page
+	 * @param  {String}             str The HTML string
+	 * @return {TrustedHTML|String}     The TrustedHTML (or the string, if Trusted Types aren't supported)
+	 */
+	toTrustedHTML (str) {
+
+		// If Trusted Types aren't used, return the string
+		if (!this.trustedTypes || typeof trustedTypes === 'undefined') return str;
+
+		// Get or create the Trusted Types policy
+		// If the page doesn't allow a policy with this name, it's null
+		let name = this.trustedTypes;
+		if (!(name in trustedPolicies)) {
+			try {
+				trustedPolicies[name] = trustedTypes.createPolicy(name, {
+					createHTML: (html) => html
+				});
+			} catch (error) {
+				trustedPolicies[name] = null;
+			}
+		}
+
+		return trustedPolicies[name] ? trustedPolicies[name].createHTML(str) : str;
+
+	}
+
+}
+
+/**
+ * Get the sanitizer policy to use
+ * @param  {Sanitizer|Object} policy The policy (or policy settings), if there is one
+ * @return {Sanitizer}               The policy
+ */
+function getSanitizer (policy) {
+	if (policy instanceof Sanitizer) return policy;
+	if (policy) return new Sanitizer(policy);
+	if (!globalPolicy) {
+		globalPolicy = new Sanitizer();
+	}
+	return globalPolicy;
+}
+
+/**
+ * Create a new sanitizer policy
+ * @param  {Object}    options The policy settings
+ * @return {Sanitizer}         The Sanitizer instance
+ */
+function sanitizer (options = {}) {
+	return new Sanitizer(options);
+}
+
+/**
+ * Set the policy that's used when render(), component(), or renderToString() aren't given one
+ * @param  {Sanitizer|Object} policy The policy (or policy settings)
+ * @return {Sanitizer}               The policy
+ */
+sanitizer.global = function (policy) {
+	globalPolicy = policy instanceof Sanitizer ? policy : new Sanitizer(policy);
+	return globalPolicy;
+};
+
+
+export {getSanitizer};
+export default sanitizer;
@@ -1,6 +1,215 @@
-import {emit, getType} from './utilities.js';
+import {getType, replace} from './utilities.js';
+import batch, {notify, subscribe} from './batch.js';
+import {traceSignal} from './debug.js';
+import {persist} from './persist.js';
+import {keys, track, trigger} from './tracking.js';
 
 
+// The types of data that can be signals
+let signalTypes = ['object', 'array', 'map', 'set'];
+
+// Array methods that are reported as a single action instead of a change to each index
+let arrayMethods = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+
+// The raw object behind each nested signal Proxy, and the parent object and property each one lives at
+let targets = new WeakMap();
+let parents = new WeakMap();
+
+// If greater than zero, an array method is running and individual changes aren't reported
+let silent = 0;
+
+/**
+ * Get the full path to a property, starting from the signal's data object
+ * @param  {Object} obj  The object the property is on
+ * @param  {*}      prop The property (if undefined, the path to the object itself)
+ * @return {Array}       The property path
+ */
+function getPath (obj, prop) {
+	let path = prop === undefined ? [] : [prop];
+	let seen = new Set();
+	let link = parents.get(obj);
+	while (link && !seen.has(link.parent)) {
+		seen.add(link.parent);
+		path.unshift(link.prop);
+		link = parents.get(link.parent);
+	}
+	return path;
+}
+
+/**
+ * Record the parent object and property of a value, if it's an object
+ * @param  {*}      value The value
+ * @param  {Object} obj   The parent object
+ * @param  {*}      prop  The property
+ */
+function setParent (value, obj, prop) {
+	if (value === null || typeof value !== 'object') return;
+	parents.set(targets.get(value) || value, {parent: obj, prop});
+}
+
+/**
+ * Get the details about an array method call
+ * @param  {String} method The method name
+ * @param  {Array}  args   The arguments the method was called with
+ * @param  {*}      result The value the method returned
+ * @param  {Number} length The array length before the method ran
+ * @return {Object}        The index, added items, and removed items
+ */
+function getArrayChanges (method, args, result, length) {
+	if (method === 'push') return {index: length, items: args, removed: []};
+	if (method === 'unshift') return {index: 0, items: args, removed: []};
+	if (method === 'pop') return {index: Math.max(length - 1, 0), items: [], removed: length ? [result] : []};
+	if (method === 'shift') return {index: 0, items: [], removed: length ? [result] : []};
+	if (method === 'splice') {
+		let start = Math.trunc(args[0]) || 0;
+		start = start < 0 ? Math.max(length + start, 0) : Math.min(start, length);
+		return {index: start, items: args.slice(2), removed: result};
+	}
+	return {index: 0, items: [], removed: []};
+}
+
+/**
+ * Create a Proxy handler object for a Map or Set
+ * Methods run on the Map or Set itself, and changes emit an event with the key and action
+ * @param  {String} name The custom event namespace
+ * @param  {Object} data The data object
+ * @return {Object}      The handler object
+ */
+function collectionHandler (name, data) {
+	let type = 'signal' + (name ? `-${name}` : '');
+
+	/**
+	 * Get a Map value, and make it a signal if it's an object
+	 * @param  {Map} obj The Map
+	 * @param  {*}   key The key
+	 * @return {*}       The value
+	 */
+	function getValue (obj, key) {
+		let value = obj.get(key);
+		if (!signalTypes.includes(getType(value)) || value._isSignal) return value;
+		let proxy = wrap(value, name, data);
+		obj.set(key, proxy);
+		setParent(value, obj, key);
+		return proxy;
+	}
+
+	/**
+	 * Emit an event and notify observers about a change
+	 * @param  {Map|Set} obj      The Map or Set
+	 * @param  {Object}  detail   The change details
+	 * @param  {Array}   changed  The keys that changed
+	 * @param  {*}       oldValue The value before the change
+	 */
+	function update (obj, detail, changed, oldValue) {
+		let event = Object.assign({prop: detail.key, path: getPath(obj, detail.key)}, detail);
+		traceSignal(type, event, oldValue);
+		notify(type, event, data);
+		for (let key of changed) {
+			trigger(obj, key);
+		}
+		trigger(obj, keys);
+	}
+
+	let methods = {
+		get (obj, receiver, key) {
+			track(obj, key);
+			return getValue(obj, key);
+		},
+		has (obj, receiver, key) {
+			track(obj, key);
+			return obj.has(key);
+		},
+		set (obj, receiver, key, value) {
+			if (obj.has(key) && obj.get(key) === value) return receiver;
+			let oldValue = obj.get(key);
+			obj.set(key, value);
+			setParent(value, obj, key);
+			update(obj, {key, value, action: 'set'}, [key], oldValue);
+			return receiver;
+		},
+		add (obj, receiver, value) {
+			if (obj.has(value)) return receiver;
+			obj.add(value);
+			update(obj, {key: value, value, action: 'add'}, [value]);
+			return receiver;
+		},
+		delete (obj, receiver, key) {
+			if (!obj.has(key)) return false;
+			let value = obj instanceof Map ? obj.get(key) : key;
+			obj.delete(key);
+			update(obj, {key, value, action: 'delete'}, [key], value);
+			return true;
+		},
+		clear (obj) {
+			if (!obj.size) return;
+			let removed = Array.from(obj.keys());
+			obj.clear();
+			let event = {prop: undefined, action: 'clear', path: getPath(obj), removed};
+			traceSignal(type, event);
+			notify(type, event, data);
+			for (let key of removed) {
+				trigger(obj, key);
+			}
+			trigger(obj, keys);
+		},
+		forEach (obj, receiver, callback, thisArg) {
+			track(obj, keys);
+			obj.forEach(function (value, key) {
+				callback.call(thisArg, obj instanceof Map ? getValue(obj, key) : value, key, receiver);
+			});
+		},
+		keys (obj) {
+			track(obj, keys);
+			return obj.keys();
+		},
+		values (obj) {
+			track(obj, keys);
+			if (!(obj instanceof Map)) return obj.values();
+			return Array.from(obj.keys()).map((key) => getValue(obj, key)).values();
+		},
+		entries (obj) {
+			track(obj, keys);
+			if (!(obj instanceof Map)) return obj.entries();
+			return Array.from(obj.keys()).map((key) => [key, getValue(obj, key)]).values();
+		}
+	};
+
+	return {
+		get (obj, prop, receiver) {
+			if (prop === '_isSignal') return true;
+			if (prop === 'subscribe' && obj === data) {
+				return (fn) => subscribe(data, fn);
+			}
+			if (prop === 'size') {
+				track(obj, keys);
+				return obj.size;
+			}
+			if (prop === Symbol.iterator) {
+				prop = obj instanceof Map ? 'entries' : 'values';
+			}
+			if (methods[prop]) {
+				return methods[prop].bind(null, obj, receiver);
+			}
+			let value = Reflect.get(obj, prop, obj);
+			return typeof value === 'function' ? value.bind(obj) : value;
+		}
+	};
+}
+
+/**
+ * Wrap an object, array, Map, or Set in a signal Proxy
+ * @param  {*}      target The data to wrap
+ * @param  {String} name   The custom event namespace
+ * @param  {Object} data   The data object
+ * @return {Proxy}         The signal Proxy
+ */
+function wrap (target, name, data) {
+	let isCollection = ['map', 'set'].includes(getType(target));
+	let proxy = new Proxy(target, isCollection ? collectionHandler(name, data) : handler(name, data));
+	targets.set(proxy, target);
+	return proxy;
+}
+
 /**
  * Create a Proxy handler object
  * @param  {String} name The custom event namespace
@@ -12,20 +221,81 @@ function handler (name, data) {
 	return {
 		get (obj, prop) {
 			if (prop === '_isSignal') return true;
-			if (['object', 'array'].includes(getType(obj[prop])) && !obj[prop]._isSignal) {
-				obj[prop] = new Proxy(obj[prop], handler(name, data));
+
+			// The signal itself has a subscribe() method, unless the data has its own subscribe property
+			if (prop === 'subscribe' && obj === data && !(prop in obj)) {
+				return (fn) => subscribe(data, fn);
+			}
+
+			// Array methods that change the array emit one event
+			if (Array.isArray(obj) && arrayMethods.includes(prop)) {
+				return function (...args) {
+					let length = obj.length;
+					let result = batch(() => {
+						silent++;
+						try {
+							return Array.prototype[prop].apply(this, args);
+						} finally {
+							silent--;
+						}
+					});
+					let path = getPath(obj);
+					let event = Object.assign({prop: path[path.length - 1], value: this, action: prop, path}, getArrayChanges(prop, args, result, length));
+					traceSignal(type, event);
+					notify(type, event, data);
+					return result;
+				};
+			}
+
+			// Nested objects, arrays, Maps, and Sets become signals, too
+			track(obj, prop);
+			if (signalTypes.includes(getType(obj[prop])) && !obj[prop]._isSignal) {
+				let target = obj[prop];
+				obj[prop] = wrap(target, name, data);
+				setParent(target, obj, prop);
 			}
 			return obj[prop];
+
+		},
+		has (obj, prop) {
+			track(obj, prop);
+			return prop in obj;
+		},
+		ownKeys (obj) {
+			track(obj, keys);
+			return Reflect.ownKeys(obj);
 		},
 		set (obj, prop, value) {
 			if (obj[prop] === value) return true;
+			let isNew = !(prop in obj);
+			let length = obj.length;
+			let oldValue = obj[prop];
 			obj[prop] = value;
-			emit(type, {prop, value, action: 'set'});
+			setParent(value, obj, prop);
+			if (!silent) {
+				let event = {prop, value, action: 'set', path: getPath(obj, prop)};
+				traceSignal(type, event, oldValue);
+				notify(type, event, data);
+			}
+			trigger(obj, prop);
+			if (isNew) {
+				trigger(obj, keys);
+			}
+			if (Array.isArray(obj) && obj.length !== length) {
+				trigger(obj, 'length');
+			}
 			return true;
 		},
 		deleteProperty (obj, prop) {
+			let oldValue = obj[prop];
 			delete obj[prop];
-			emit(type, {prop, value: obj[prop], action: 'delete'});
+			if (!silent) {
+				let event = {prop, value: obj[prop], action: 'delete', path: getPath(obj, prop)};
+				traceSignal(type, event, oldValue);
+				notify(type, event, data);
+			}
+			trigger(obj, prop);
+			trigger(obj, keys);
 			return true;
 		}
 	};
@@ -33,13 +303,34 @@ function handler (name, data) {
 
 /**
  * Create a new signal
- * @param  {Object} data The data object
- * @param  {String} name The custom event namespace
- * @return {Proxy}       The signal Proxy
+ * Call signal.subscribe(fn) to run a function when the data changes (it returns a function that unsubscribes)
+ * @param  {Object} data            The data object
+ * @param  {String} name            The custom event namespace
+ * @param  {Object} options         Additional options
+ * @param  {Object} options.persist Save the data to storage and restore it on load
+ * @return {Proxy}                  The signal Proxy
  */
-function signal (data = {}, name = '') {
-	data = ['array', 'object'].includes(getType(data)) ? data : {value: data};
-	return new Proxy(data, handler(name, data));
+function signal (data = {}, name = '', options = {}) {
+	data = signalTypes.includes(getType(data)) ? data : {value: data};
+	let proxy = wrap(data, name, data);
+
+	// If the data should be persisted, restore it
+	// Data that loads asynchronously is updated through the Proxy so that the UI updates
+	if (options.persist) {
+		persist(data, options.persist, function () {
+			return data;
+		}, function (stored, isAsync) {
+			if (isAsync) {
+				batch(function () {
+					replace(proxy, stored);
+				});
+			} else {
+				replace(data, stored);
+			}
+		});
+	}
+
+	return proxy;
 }
 
 
@@ -1,4 +1,8 @@
-import {emit} from './utilities.js';
+import {notify, subscribe} from './batch.js';
+import {isDebugging, traceSignal} from './debug.js';
+import {persist} from './persist.js';
+import {track, trigger} from './tracking.js';
+import {getType, replace} from './utilities.js';
 
 
 /**
@@ -8,19 +12,25 @@ class Store {
 
 	/**
 	 * The constructor object
-	 * @param  {Object} data    The data object
-	 * @param  {Object} actions The store functions
-	 * @param  {String} name    The custom event namespace for the signal
+	 * @param  {Object}         data            The data object
+	 * @param  {Object}         actions         The store functions
+	 * @param  {String}         name            The custom event namespace for the signal
+	 * @param  {Object}         options         Additional options
+	 * @param  {Boolean|Object} options.history If truthy, keep an undo/redo history ({depth} sets the number of entries, default 100)
+	 * @param  {Object}         options.persist Save the data to storage and restore it on load
+	 * @param  {Boolean|Array}  options.latest  If true (or an array of action names), a new call to an action cancels its older calls that haven't finished
 	 */
-	constructor (data, actions, name = '') {
+	constructor (data, actions, name = '', options = {}) {
 
 		// Get signal type
 		let type = 'signal' + (name ? `-${name}` : '');
+		let self = this;
 
 		// Create data property setter/getter
 		Object.defineProperties(this, {
 			value: {
 				get () {
+					track(self, 'value');
 					return structuredClone(data);
 				},
 				set () {
@@ -29,15 +39,258 @@ class Store {
 			}
 		});
 
+		/**
+		 * Replace the data with a snapshot
+		 * When possible, the snapshot is copied into the current data object, so that async actions that are still running update the new data
+		 * @param  {*} snapshot The snapshot
+		 */
+		function restore (snapshot) {
+			let isSameType = ['array', 'object'].includes(getType(data)) && getType(data) === getType(snapshot);
+			if (!isSameType) {
+				data = snapshot;
+				return;
+			}
+			replace(data, snapshot);
+		}
+
+		/**
+		 * Let everything that uses the store know the data changed
+		 * The event details are the data, but batches list what changed it
+		 * @param  {Object} change The action that changed the data
+		 */
+		function update (change) {
+			notify(type, data, self, Object.assign({}, change, {value: data}));
+			trigger(self, 'value');
+		}
+
+		// If the data should be persisted, restore it
+		if (options.persist) {
+			persist(self, options.persist, function () {
+				return data;
+			}, function (stored, isAsync) {
+				restore(stored);
+				if (!isAsync) return;
+				update({action: 'restore'});
+			});
+		}
+
+		// Get history settings
+		let history = options.history ? {
+			depth: options.history.depth || 100,
+			past: [],
+			future: [],
+			grouping: 0,
+			isGrouped: false
+		} : null;
+
+		/**
+		 * Create the store function for an action
+		 * Async actions update the UI when they start, and again when they finish
+		 * @param  {String}   fn The action name
+		 * @return {Function}    The store function
+		 */
+		function createAction (fn) {
+
+			// The action's state
+			let isLatest = Array.isArray(options.latest) ? options.latest.includes(fn) : !!options.latest;
+			let state = {calls: new Set(), latest: null, error: null, result: undefined};
+
+			/**
+			 * Run the action
+			 * @param  {...*} args The arguments to pass into the action
+			 * @return {*}         The value returned by the action (for async actions, a Promise that resolves with undefined if a newer call replaced it)
+			 */
+			function action (...args) {
+
+				// If this call replaces an older one, cancel it
+				// The action can read the AbortSignal from this.signal
+				let call = {controller: isLatest ? new AbortController() : null};
+				if (isLatest && state.latest) {
+					state.latest.controller.abort();
+					state.calls.delete(state.latest);
+				}
+				if (isLatest) {
+					state.latest = call;
+				}
+				let context = isLatest ? Object.create(actions, {signal: {value: call.controller.signal}}) : actions;
+
+				// Run the action
+				// If it throws, it isn't added to the history
+				let entry = snapshot();
+				let oldValue = isDebugging() ? structuredClone(data) : undefined;
+				let result;
+				try {
+					result = actions[fn].call(context, data, ...args);
+				} catch (error) {
+					state.error = error;
+					update({action: fn, args});
+					throw error;
+				}
+				record(entry);
+				traceSignal(type, {action: fn, args, value: data}, oldValue);
+
+				// If it's not async, we're done
+				if (!result || typeof result.then !== 'function') {
+					state.result = result;
+					state.error = null;
+					update({action: fn, args});
+					return result;
+				}
+
+				// Otherwise, update the UI now and again when it finishes
+				state.calls.add(call);
+				update({action: fn, args, status: 'pending'});
+
+				/**
+				 * Finish an async call
+				 * Calls that were replaced by a newer one don't change the state
+				 * @param  {Function} callback Updates the state
+				 * @return {Boolean}           If true, the call was replaced
+				 */
+				function settle (callback) {
+					let isStale = isLatest && call !== state.latest;
+					if (!isStale) {
+						state.calls.delete(call);
+						callback();
+					}
+					let status = isStale ? 'canceled' : 'settled';
+					traceSignal(type, {action: fn, args, value: data, status});
+					update({action: fn, args, status});
+					return isStale;
+				}
+
+				return result.then(function (value) {
+					if (settle(() => Object.assign(state, {result: value, error: null}))) return;
+					return value;
+				}, function (error) {
+					if (settle(() => Object.assign(state, {error}))) return;
+					throw error;
+				});
+
+			}
+
+			// Add the state properties
+			Object.defineProperties(action, {
+				pending: {
+					get () {
+						track(self, 'value');
+						return state.calls.size > 0;
+					}
+				},
+				error: {
+					get () {
+						track(self, 'value');
+						return state.error;
+					}
+				},
+				result: {
+					get () {
+						track(self, 'value');
+						return state.result;
+					}
+				}
+			});
+
+			return action;
+
+		}
+
+		/**
+		 * Take a snapshot of the data before it's changed, if it should be saved to the history
+		 * When grouping, only the first action in the group is saved
+		 * @return {*} The snapshot (undefined if it shouldn't be saved)
+		 */
+		function snapshot () {
+			if (!history) return;
+			if (history.grouping && history.isGrouped) return;
+			return structuredClone(data);
+		}
+
+		/**
+		 * Save a snapshot to the history, once the action that changed the data has run
+		 * @param  {*} entry The snapshot
+		 */
+		function record (entry) {
+			if (entry === undefined) return;
+			history.past.push(entry);
+			if (history.past.length > history.depth) {
+				history.past.shift();
+			}
+			history.future = [];
+			history.isGrouped = !!history.grouping;
+		}
+
+		/**
+		 * Run a function whenever the data changes
+		 * @param  {Function} fn The function to run (receives the event details)
+		 * @return {Function}    Stops running the function
+		 */
+		this.subscribe = function (fn) {
+			return subscribe(self, fn);
+		};
+
 		// Add store functions
 		for (let fn in actions) {
 			if (typeof actions[fn] !== 'function') continue;
-			this[fn] = function (...args) {
-				actions[fn](data, ...args);
-				emit(type, data);
-			};
+			this[fn] = createAction(fn);
 		}
 
+		// If there's no history, we're done
+		if (!history) return;
+
+		// Create history property getters
+		Object.defineProperties(this, {
+			canUndo: {
+				get () {
+					track(self, 'value');
+					return history.past.length > 0;
+				}
+			},
+			canRedo: {
+				get () {
+					track(self, 'value');
+					return history.future.length > 0;
+				}
+			}
+		});
+
+		/**
+		 * Restore the data to the last history entry
+		 */
+		this.undo = function () {
+			if (!history.past.length) return;
+			history.future.push(structuredClone(data));
+			restore(history.past.pop());
+			update({action: 'undo'});
+		};
+
+		/**
+		 * Restore the data to the next history entry
+		 */
+		this.redo = function () {
+			if (!history.future.length) return;
+			history.past.push(structuredClone(data));
+			restore(history.future.pop());
+			update({action: 'redo'});
+		};
+
+		/**
+		 * Run several actions as a single history entry
+		 * @param  {Function} callback The function that runs the actions
+		 * @return {*}                 The value returned by the callback
+		 */
+		this.group = function (callback) {
+			history.grouping++;
+			try {
+				return callback();
+			} finally {
+				history.grouping--;
+				if (!history.grouping) {
+					history.isGrouped = false;
+				}
+			}
+		};
+
 	}
 
 }
@@ -47,11 +300,12 @@ class Store {
  * @param  {Object} data    The data object
  * @param  {Object} setters The store functions
  * @param  {String} name    The custom event namespace for the signal
+ * @param  {Object} options Additional options
  * @return {Proxy}          The Store instance
  */
-function store (data = {}, setters = {}, name = '') {
-	return new Store(data, setters, name);
+function store (data = {}, setters = {}, name = '', options = {}) {
+	return new Store(data, setters, name, options);
 }
 
 
-export default store;
\ No newline at end of file
+export default store;
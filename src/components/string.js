@@ -0,0 +1,273 @@
+import {getSanitizer} from './sanitize.js';
+import {isFalsy} from './utilities.js';
+
+
+// Attributes that are removed entirely when they have a falsy value
+let noValAtts = ['checked', 'selected'];
+
+// Elements whose content is raw text, and elements that never have content
+// Raw text elements only exist in HTML content (inside SVG and MathML, their content is markup)
+let rawTextTags = ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript', 'plaintext'];
+let foreignTags = ['svg', 'math'];
+let voidTags = ['area', 'base', 'br', 'col', 'embed', 'frame', 'hr', 'img', 'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+// Character references that can be used to obfuscate attribute values
+let entities = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', tab: '\t', newline: '\n', colon: ':', lpar: '(', rpar: ')'};
+
+/**
+ * Decode the character references in an attribute value
+ * @param  {String} str The encoded string
+ * @return {String}     The decoded string
+ */
+function decode (str) {
+	return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);?/gi, function (match, ref) {
+		if (ref[0] === '#') {
+			let code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+			return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+		}
+		let char = entities[ref.toLowerCase()];
+		return char === undefined ? match : char;
+	});
+}
+
+/**
+ * Encode an attribute value so it can be safely wrapped in double quotes
+ * Brackets are encoded, too, so that the value can't close a raw text element it ends up in
+ * @param  {String} str The raw string
+ * @return {String}     The encoded string
+ */
+function encode (str) {
+	return str.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Find the end of a comment, the way the browser does
+ * @param  {String} str   The template string
+ * @param  {Number} index The index of the comment
+ * @return {Number}       The index just after the comment
+ */
+function skipComment (str, index) {
+
+	// <!--> and <!---> are empty comments
+	let empty = str.slice(index).match(/^<!---?>/);
+	if (empty) return index + empty[0].length;
+
+	// Otherwise, the comment ends at the first --> or --!>
+	let close = /--!?>/g;
+	close.lastIndex = index + 4;
+	return close.exec(str) ? close.lastIndex : str.length;
+
+}
+
+/**
+ * Read the attributes of a tag, starting just after the tag name
+ * @param  {String} str   The template string
+ * @param  {Number} index The index to start reading from
+ * @return {Object}       The attributes and the index of the closing bracket (-1 if the tag never closes)
+ */
+function readAttributes (str, index) {
+	let atts = [];
+	while (index < str.length) {
+
+		// Skip whitespace and stray slashes between attributes
+		let char = str[index];
+		if (/[\s/]/.test(char)) {
+			index++;
+			continue;
+		}
+
+		// If the tag is closed, we're done
+		if (char === '>') return {atts, end: index};
+
+		// Get the attribute name
+		let start = index;
+		index++;
+		while (index < str.length && !/[\s/>=]/.test(str[index])) index++;
+		let name = str.slice(start, index).toLowerCase();
+
+		// Get the attribute value, if there is one
+		let value = '';
+		while (/\s/.test(str[index])) index++;
+		if (str[index] === '=') {
+			index++;
+			while (/\s/.test(str[index])) index++;
+			let quote = str[index];
+			if (quote === '"' || quote === '\'') {
+				let close = str.indexOf(quote, index + 1);
+				if (close < 0) break;
+				value = str.slice(index + 1, close);
+				index = close + 1;
+			} else {
+				start = index;
+				while (index < str.length && !/[\s>]/.test(str[index])) index++;
+				value = str.slice(start, index);
+			}
+		}
+
+		atts.push({name, value: decode(value)});
+
+	}
+	return {atts, end: -1};
+}
+
+/**
+ * Find the end of an element that's being removed, including its content
+ * @param  {String} str     The template string
+ * @param  {Number} index   The index just after the opening tag
+ * @param  {String} tagName The element's tag name
+ * @return {Number}         The index just after the closing tag (-1 if the element never closes)
+ */
+function skipElement (str, index, tagName) {
+
+	// Void elements have no content
+	if (voidTags.includes(tagName)) return index;
+
+	// Find the matching closing tag
+	// Raw text can't contain other elements, so the first closing tag is the match
+	let name = tagName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	let tags = new RegExp(`<(/?)${name}(?=[\\s/>])`, 'gi');
+	tags.lastIndex = index;
+	let depth = 1;
+	let match;
+	while ((match = tags.exec(str))) {
+		if (!match[1] && rawTextTags.includes(tagName)) continue;
+		depth += match[1] ? -1 : 1;
+		if (depth) continue;
+		let {end} = readAttributes(str, match.index + match[0].length);
+		return end < 0 ? -1 : end + 1;
+	}
+	return -1;
+
+}
+
+/**
+ * Convert the attributes of a tag into a string
+ * Applies the same [@*] and [#*] and sanitization rules as render()
+ * @param  {Array}     atts      The attributes
+ * @param  {Sanitizer} sanitizer The sanitizer policy
+ * @return {String}              The attribute string
+ */
+function stringifyAttributes (atts, sanitizer) {
+	let seen = [];
+	return atts.reduce(function (html, {name, value}) {
+
+		// Remove unsafe HTML attributes (and event listeners, which are wired up on the client)
+		if (sanitizer.skipAttribute(name, value)) return html;
+
+		// Get the plain attribute name
+		let attName = name.startsWith('@') || name.startsWith('#') ? name.slice(1) : name;
+
+		// If it's a no-value attribute and its falsy, skip it
+		if (noValAtts.includes(attName) && isFalsy(value)) return html;
+
+		// Like the browser, only use the first instance of an attribute
+		if (seen.includes(attName)) return html;
+		seen.push(attName);
+
+		return `${html} ${attName}="${encode(value)}"`;
+
+	}, '');
+}
+
+/**
+ * Render a template into an HTML string without the DOM (for server-side rendering)
+ * Takes the same arguments as render(), but event listeners aren't added until the markup is hydrated on the client
+ * @param  {String}    template          The template to render
+ * @param  {Object}    events            The allowed event functions (unused on the server)
+ * @param  {Object}    options           Additional options
+ * @param  {Sanitizer} options.sanitizer The sanitizer policy (defaults to the global policy)
+ * @return {String}                      The sanitized HTML string
+ */
+function renderToString (template, events, options = {}) {
+
+	let sanitizer = getSanitizer(options.sanitizer);
+	let str = String(template);
+	let html = '';
+	let index = 0;
+
+	// How many SVG and MathML elements the current tag is inside
+	let foreign = 0;
+
+	while (index < str.length) {
+
+		// Copy text up to the next tag
+		let open = str.indexOf('<', index);
+		if (open < 0) {
+			html += str.slice(index);
+			break;
+		}
+		html += str.slice(index, open);
+		index = open;
+
+		// Remove comments
+		if (str.startsWith('<!--', index)) {
+			index = skipComment(str, index);
+			continue;
+		}
+
+		// Remove doctypes, processing instructions, and other bogus comments
+		if (/^<[!?]/.test(str.slice(index, index + 2))) {
+			let close = str.indexOf('>', index);
+			if (close < 0) break;
+			index = close + 1;
+			continue;
+		}
+
+		// If it's not a tag, encode the bracket
+		let match = str.slice(index).match(/^<(\/?)([a-z][^\s/>]*)/i);
+		if (!match) {
+			html += '&lt;';
+			index++;
+			continue;
+		}
+
+		// Read the attributes
+		// If the tag never closes, the browser drops it, so we do too
+		let [tag, isClosing, tagName] = match;
+		tagName = tagName.toLowerCase();
+		let {atts, end} = readAttributes(str, index + tag.length);
+		if (end < 0) break;
+		index = end + 1;
+
+		// Handle closing tags
+		if (isClosing) {
+			if (sanitizer.skipTag(tagName)) continue;
+			if (foreign && foreignTags.includes(tagName)) {
+				foreign--;
+			}
+			html += `</${tagName}>`;
+			continue;
+		}
+
+		// Remove unsafe elements and their content
+		if (sanitizer.skipTag(tagName)) {
+			index = skipElement(str, index, tagName);
+			if (index < 0) break;
+			continue;
+		}
+
+		// Add the tag
+		html += `<${tagName}${stringifyAttributes(atts, sanitizer)}>`;
+
+		// Keep track of SVG and MathML content (self-closing tags don't have any)
+		if (foreignTags.includes(tagName) && str[end - 1] !== '/') {
+			foreign++;
+		}
+
+		// Copy raw text content as-is
+		// Plain text never ends, so everything after it is text
+		if (!foreign && rawTextTags.includes(tagName)) {
+			let close = tagName === 'plaintext' ? -1 : str.toLowerCase().indexOf(`</${tagName}`, index);
+			if (close < 0) close = str.length;
+			html += str.slice(index, close);
+			index = close;
+		}
+
+	}
+
+	return html;
+
+}
+
+
+export default renderToString;
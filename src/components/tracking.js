@@ -0,0 +1,96 @@
+// The observers that are currently running (the last one is the active one)
+let running = [];
+
+// The observers for each property of each tracked object
+let observers = new WeakMap();
+
+// The property used to track changes to an object's list of keys
+let keys = Symbol('keys');
+
+/**
+ * Record that the active observer read a property
+ * @param  {Object} obj  The object
+ * @param  {*}      prop The property that was read
+ */
+function track (obj, prop) {
+
+	// If there's no active observer, bail
+	let observer = running[running.length - 1];
+	if (!observer || typeof prop === 'symbol' && prop !== keys) return;
+
+	// Get the observers for the object property
+	let props = observers.get(obj);
+	if (!props) {
+		props = new Map();
+		observers.set(obj, props);
+	}
+	let subscribers = props.get(prop);
+	if (!subscribers) {
+		subscribers = new Set();
+		props.set(prop, subscribers);
+	}
+
+	// Add the observer
+	subscribers.add(observer);
+	observer.deps.add(subscribers);
+
+}
+
+/**
+ * Notify the observers of a property that it changed
+ * @param  {Object} obj  The object
+ * @param  {*}      prop The property that changed
+ */
+function trigger (obj, prop) {
+	let props = observers.get(obj);
+	let subscribers = props ? props.get(prop) : null;
+	if (!subscribers) return;
+	for (let observer of Array.from(subscribers)) {
+		observer.notify();
+	}
+}
+
+/**
+ * Stop an observer from tracking the properties it read
+ * @param  {Object} observer The observer
+ */
+function unwatch (observer) {
+	for (let subscribers of observer.deps) {
+		subscribers.delete(observer);
+	}
+	observer.deps.clear();
+}
+
+/**
+ * Run a function without tracking the properties it reads
+ * @param  {Function} fn The function to run
+ * @return {*}           The value returned by the function
+ */
+function untrack (fn) {
+	running.push(null);
+	try {
+		return fn();
+	} finally {
+		running.pop();
+	}
+}
+
+/**
+ * Run a function and track the properties it reads
+ * Any properties tracked on previous runs are cleared first
+ * @param  {Object}   observer The observer, with a deps Set and notify() method
+ * @param  {Function} fn       The function to run
+ * @return {*}                 The value returned by the function
+ */
+function watch (observer, fn) {
+	unwatch(observer);
+	running.push(observer);
+	try {
+		return fn();
+	} finally {
+		running.pop();
+	}
+}
+
+
+export {keys, track, trigger, untrack, unwatch, watch};
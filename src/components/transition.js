@@ -0,0 +1,215 @@
+// Nodes that are transitioning out, and the transition classes on each element
+let leaving = new WeakSet();
+let classes = new WeakMap();
+
+/**
+ * Get the transition name for a node
+ * @param  {Node}   node The node
+ * @return {String}      The transition name (null if it doesn't have one)
+ */
+function getName (node) {
+	return node.nodeType === 1 ? node.getAttribute('reef-transition') : null;
+}
+
+/**
+ * Add transition classes to an element
+ * @param {Element} elem  The element
+ * @param {Array}   names The class names
+ */
+function addClasses (elem, ...names) {
+	let active = classes.get(elem) || new Set();
+	for (let name of names) {
+		active.add(name);
+		elem.classList.add(name);
+	}
+	classes.set(elem, active);
+}
+
+/**
+ * Remove transition classes from an element
+ * @param {Element} elem  The element
+ * @param {Array}   names The class names
+ */
+function removeClasses (elem, ...names) {
+	let active = classes.get(elem);
+	for (let name of names) {
+		if (active) {
+			active.delete(name);
+		}
+		elem.classList.remove(name);
+	}
+}
+
+/**
+ * Run a function after the browser has painted the current styles
+ * @param  {Function} fn The function
+ */
+function nextFrame (fn) {
+	window.requestAnimationFrame(function () {
+		window.requestAnimationFrame(fn);
+	});
+}
+
+/**
+ * Get the longest transition or animation time for an element
+ * @param  {Element} elem The element
+ * @return {Number}       The time, in milliseconds
+ */
+function getDuration (elem) {
+	let styles = window.getComputedStyle(elem);
+	let toTimes = (str) => (str || '').split(',').map((time) => parseFloat(time) * (time.trim().endsWith('ms') ? 1 : 1000) || 0);
+	return ['transition', 'animation'].reduce(function (max, type) {
+		let durations = toTimes(styles[`${type}Duration`]);
+		let delays = toTimes(styles[`${type}Delay`]);
+		return Math.max(max, ...durations.map((duration, index) => duration + (delays[index] || delays[0] || 0)));
+	}, 0);
+}
+
+/**
+ * Run a callback when an element's transition or animation ends
+ * If the end event never fires, the callback runs after the computed duration
+ * @param  {Element}  elem     The element
+ * @param  {Function} callback The callback
+ */
+function onEnd (elem, callback) {
+
+	let isDone = false;
+	let timeout;
+
+	/**
+	 * Finish the transition
+	 * @param  {Event} event The event object (if it ended with an event)
+	 */
+	function finish (event) {
+		if (isDone || (event && event.target !== elem)) return;
+		isDone = true;
+		clearTimeout(timeout);
+		elem.removeEventListener('transitionend', finish);
+		elem.removeEventListener('animationend', finish);
+		callback();
+	}
+
+	elem.addEventListener('transitionend', finish);
+	elem.addEventListener('animationend', finish);
+	timeout = setTimeout(finish, getDuration(elem) + 50);
+
+}
+
+/**
+ * Check if a node is transitioning out
+ * @param  {Node}    node The node
+ * @return {Boolean}      If true, the node is leaving
+ */
+function isLeaving (node) {
+	return leaving.has(node);
+}
+
+/**
+ * Get the transition classes that are on an element
+ * Rendering keeps these classes, so that a render doesn't interrupt a transition
+ * @param  {Element} elem The element
+ * @return {Array}        The class names
+ */
+function getClasses (elem) {
+	return Array.from(classes.get(elem) || []);
+}
+
+/**
+ * Transition a node in after it's added to the DOM
+ * Adds the [name]-enter-from and [name]-enter-active classes, then swaps [name]-enter-from for [name]-enter-to
+ * @param  {Node} node The node
+ */
+function enter (node) {
+	let name = getName(node);
+	if (!name) return;
+	addClasses(node, `${name}-enter-from`, `${name}-enter-active`);
+	nextFrame(function () {
+		if (leaving.has(node)) return;
+		removeClasses(node, `${name}-enter-from`);
+		addClasses(node, `${name}-enter-to`);
+		onEnd(node, function () {
+			removeClasses(node, `${name}-enter-active`, `${name}-enter-to`);
+		});
+	});
+}
+
+/**
+ * Remove a node from the DOM, transitioning it out first if it has a transition
+ * Adds the [name]-leave-from and [name]-leave-active classes, then swaps [name]-leave-from for [name]-leave-to
+ * @param  {Node} node The node
+ */
+function removeNode (node) {
+
+	// If there's no transition, remove it right away
+	let name = getName(node);
+	if (!name) {
+		node.remove();
+		return;
+	}
+
+	// If it's already leaving, there's nothing to do
+	if (leaving.has(node)) return;
+	leaving.add(node);
+
+	// Otherwise, transition it out, then remove it
+	removeClasses(node, ...getClasses(node));
+	addClasses(node, `${name}-leave-from`, `${name}-leave-active`);
+	nextFrame(function () {
+		removeClasses(node, `${name}-leave-from`);
+		addClasses(node, `${name}-leave-to`);
+		onEnd(node, function () {
+			leaving.delete(node);
+			removeClasses(node, `${name}-leave-active`, `${name}-leave-to`);
+			node.remove();
+		});
+	});
+
+}
+
+/**
+ * Get the positions of the nodes that have a transition, so that moves can be animated
+ * @param  {Array} nodes The nodes
+ * @return {Map}         The position of each node
+ */
+function getPositions (nodes) {
+	let positions = new Map();
+	for (let node of nodes) {
+		if (!node || !getName(node)) continue;
+		positions.set(node, node.getBoundingClientRect());
+	}
+	return positions;
+}
+
+/**
+ * Animate nodes that moved from their old positions to their new ones (FLIP)
+ * Adds the [name]-move class while the node moves
+ * @param  {Map} positions The old position of each node
+ */
+function move (positions) {
+	for (let [node, old] of positions) {
+
+		// Get how far the node moved
+		if (!node.isConnected || leaving.has(node)) continue;
+		let current = node.getBoundingClientRect();
+		let x = old.left - current.left;
+		let y = old.top - current.top;
+		if (!x && !y) continue;
+
+		// Put it back in its old position, then transition it to the new one
+		let name = getName(node);
+		node.style.transform = `translate(${x}px, ${y}px)`;
+		node.style.transitionDuration = '0s';
+		nextFrame(function () {
+			addClasses(node, `${name}-move`);
+			node.style.transform = '';
+			node.style.transitionDuration = '';
+			onEnd(node, function () {
+				removeClasses(node, `${name}-move`);
+			});
+		});
+
+	}
+}
+
+
+export {enter, getClasses, getPositions, isLeaving, move, removeNode};
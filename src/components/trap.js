@@ -0,0 +1,131 @@
+import {getElem, isRoot} from './utilities.js';
+
+
+// Elements that can receive keyboard focus
+let focusable = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), iframe, audio[controls], video[controls], summary, [contenteditable], [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Get the elements inside a container that can receive keyboard focus
+ * @param  {Element} container The container
+ * @return {Array}             The focusable elements
+ */
+function getFocusable (container) {
+	return Array.from(container.querySelectorAll(focusable)).filter(function (elem) {
+		return !elem.closest('[hidden], [inert]');
+	});
+}
+
+/**
+ * Get the root of the component that renders an element
+ * @param  {Element} elem The element
+ * @return {Node}         The component root (undefined if it's not rendered by a component)
+ */
+function getRoot (elem) {
+	let node = elem;
+	while (node) {
+		if (isRoot(node)) return node;
+		node = node.parentNode;
+	}
+}
+
+/**
+ * Trap keyboard focus inside an element, like a dialog
+ * If the element is replaced or added by the component that renders it, the trap moves to the new element
+ * @param  {String|Element} elem          The element or selector to trap focus in
+ * @param  {Object}         options       Additional options
+ * @param  {String}         options.focus The selector for the element to focus first (defaults to the first focusable element)
+ * @return {Function}                     Releases the trap, and restores focus to the element that had it before
+ */
+function trap (elem, options = {}) {
+
+	// Get the element that had focus before the trap
+	let previous = document.activeElement;
+
+	/**
+	 * Move focus into the trap
+	 */
+	function focusFirst () {
+		let container = getElem(elem);
+		if (!container) return;
+		let target = (options.focus && container.querySelector(options.focus)) || getFocusable(container)[0] || container;
+		if (target === container && !container.hasAttribute('tabindex')) {
+			container.setAttribute('tabindex', -1);
+		}
+		target.focus();
+	}
+
+	/**
+	 * Keep tabbing inside the trap
+	 * @param  {Event} event The event object
+	 */
+	function keydownHandler (event) {
+
+		// Only run for the tab key
+		if (event.key !== 'Tab') return;
+		let container = getElem(elem);
+		if (!container) return;
+
+		// If there's nothing to focus, stay put
+		let nodes = getFocusable(container);
+		if (!nodes.length) {
+			event.preventDefault();
+			return;
+		}
+
+		// Wrap around from the first element to the last, and from the last to the first
+		let first = nodes[0];
+		let last = nodes[nodes.length - 1];
+		let isOutside = !container.contains(document.activeElement);
+		if (event.shiftKey && (document.activeElement === first || isOutside)) {
+			event.preventDefault();
+			last.focus();
+		} else if (!event.shiftKey && (document.activeElement === last || isOutside)) {
+			event.preventDefault();
+			first.focus();
+		}
+
+	}
+
+	/**
+	 * If focus moves outside the trap, move it back in
+	 * @param  {Event} event The event object
+	 */
+	function focusinHandler (event) {
+		let container = getElem(elem);
+		if (!container || container.contains(event.target)) return;
+		focusFirst();
+	}
+
+	/**
+	 * When the component that renders the trap renders, make sure focus is still inside it
+	 * @param  {Event} event The event object
+	 */
+	function renderHandler (event) {
+		let container = getElem(elem);
+		if (!container || getRoot(container) !== event.target) return;
+		if (container.contains(document.activeElement)) return;
+		focusFirst();
+	}
+
+	// Start the trap
+	document.addEventListener('keydown', keydownHandler);
+	document.addEventListener('focusin', focusinHandler);
+	document.addEventListener('reef:render', renderHandler);
+	let container = getElem(elem);
+	if (container && !container.contains(document.activeElement)) {
+		focusFirst();
+	}
+
+	// Release the trap
+	return function release () {
+		document.removeEventListener('keydown', keydownHandler);
+		document.removeEventListener('focusin', focusinHandler);
+		document.removeEventListener('reef:render', renderHandler);
+		if (!previous || !previous.isConnected || typeof previous.focus !== 'function') return;
+		previous.focus();
+	};
+
+}
+
+
+export default trap;
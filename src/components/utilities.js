@@ -1,10 +1,18 @@
+// The elements that components render into
+let roots = new WeakSet();
+
 /**
  * Emit a custom reefevent
- * @param  {String} type   The event type
- * @param  {*}      detail Any details to pass along with the event
- * @param  {Node}   elem   The element to emit the event on
+ * If there's no DOM, there's nothing to emit the event on, so this does nothing
+ * @param  {String}  type   The event type
+ * @param  {*}       detail Any details to pass along with the event
+ * @param  {Node}    elem   The element to emit the event on
+ * @return {Boolean}        If false, the event was canceled
  */
-function emit (type, detail, elem = document) {
+function emit (type, detail, elem = typeof document === 'undefined' ? null : document) {
+
+	// If there's no DOM, bail
+	if (!elem) return true;
 
 	// Create a new event
 	let event = new CustomEvent(`reef:${type}`, {
@@ -36,5 +44,65 @@ function getType (obj) {
 	return Object.prototype.toString.call(obj).slice(8, -1).toLowerCase();
 }
 
+/**
+ * Check if an attribute string has a stringified falsy value
+ * @param  {String}  str The string
+ * @return {Boolean}     If true, value is falsy (yea, I know, that's a little confusing)
+ */
+function isFalsy (str) {
+	return ['false', 'null', 'undefined', '0', '-0', 'NaN', '0n', '-0n'].includes(str);
+}
+
+/**
+ * Replace the contents of an array, object, Map, or Set
+ * @param  {Array|Object|Map|Set} target The array, object, Map, or Set to update
+ * @param  {Array|Object|Map|Set} source The new contents
+ */
+function replace (target, source) {
+	if (Array.isArray(target)) {
+		target.splice(0, target.length, ...source);
+		return;
+	}
+	if (['map', 'set'].includes(getType(target))) {
+		let isMap = getType(target) === 'map';
+		target.clear();
+		for (let [key, value] of source.entries()) {
+			if (isMap) {
+				target.set(key, value);
+			} else {
+				target.add(value);
+			}
+		}
+		return;
+	}
+	for (let key of Object.keys(target)) {
+		if (key in source) continue;
+		delete target[key];
+	}
+	Object.assign(target, source);
+}
+
+/**
+ * Register or unregister an element that a component renders into
+ * @param {Node}    elem     The element
+ * @param {Boolean} isActive If true, the element is a component root
+ */
+function setRoot (elem, isActive) {
+	if (isActive) {
+		roots.add(elem);
+	} else {
+		roots.delete(elem);
+	}
+}
+
+/**
+ * Check if an element is the root of a running component
+ * @param  {Node}    elem The element
+ * @return {Boolean}      If true, the element is a component root
+ */
+function isRoot (elem) {
+	return roots.has(elem);
+}
+
 
-export {emit, getElem, getType};
\ No newline at end of file
+export {emit, getElem, getType, isFalsy, isRoot, replace, setRoot};
\ No newline at end of file
@@ -1,7 +1,18 @@
 import signal from './components/signal.js';
 import store from './components/store.js';
+import computed from './components/computed.js';
+import effect from './components/effect.js';
+import batch from './components/batch.js';
 import render from './components/render.js';
+import renderToString from './components/string.js';
 import component from './components/component.js';
+import defineElement from './components/element.js';
 import focus from './components/focus.js';
+import announce from './components/announce.js';
+import trap from './components/trap.js';
+import html from './components/html.js';
+import sanitizer from './components/sanitize.js';
+import router from './components/router.js';
+import debug from './components/debug.js';
 
-export {signal, store, render, component, focus};
\ No newline at end of file
+export {signal, store, computed, effect, batch, render, renderToString, component, defineElement, focus, announce, trap, html, sanitizer, router, debug};
\ No newline at end of file